@@ -0,0 +1,72 @@
+// netlify/functions/api-keys.js
+// Your own OpenAI key, or a project's, for the jobs you submit (see lib/api-keys.cjs). Keys are stored
+// encrypted and never returned; only their last 4 characters are. Project keys are for project members only.
+// GET ?project=<name>                            -> { user, project, projectError, env, canStore, canStoreUser }
+// PUT|POST { apiKey, scope: "user"|"project", project? }  -> { scope, id, key: { last4, updatedAt, updatedBy } }
+// DELETE ?scope=user|project&project=<name>
+
+const { authenticate } = require("../lib/auth.cjs");
+const { saveApiKey, deleteApiKey, loadKeyRecord, apiKeyInfo, userKeyId, projectAccessError } = require("../lib/api-keys.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/api-keys" */ };
+
+const CORS = corsHeaders("GET,PUT,POST,DELETE,OPTIONS,HEAD");
+const res = responder(CORS);
+
+// { scope, id } of the key a request is about, or { status, error }.
+function target(user, scope, project) {
+  if (scope === "project") {
+    if (!project) return { status: 400, error: "project is required" };
+    const denied = projectAccessError(user, project);
+    return denied ? { status: 403, error: denied } : { scope, id: project };
+  }
+  if (scope === "user") return userKeyId(user) ? { scope, id: userKeyId(user) } : { status: 400, error: "User keys need a personal sign-in (Netlify Identity or AUTH_USER_TOKENS); the team secret is shared" };
+  return { status: 400, error: 'scope must be "user" or "project"' };
+}
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  const url = event?.rawUrl ? new URL(event.rawUrl) : null;
+  const q = (k) => url?.searchParams.get(k) || event?.queryStringParameters?.[k] || "";
+
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  try {
+    if (event.httpMethod === "GET") {
+      const project = q("project").trim();
+      return res(200, {
+        user: userKeyId(auth.user) ? apiKeyInfo(await loadKeyRecord(store, "user", userKeyId(auth.user))) : null,
+        project: project && !projectAccessError(auth.user, project) ? apiKeyInfo(await loadKeyRecord(store, "project", project)) : null,
+        projectError: project ? projectAccessError(auth.user, project) : null,
+        env: Boolean(process.env.OPENAI_API_KEY),
+        canStore: Boolean(process.env.KEY_ENCRYPTION_SECRET),
+        canStoreUser: Boolean(userKeyId(auth.user)),
+      });
+    }
+
+    if (event.httpMethod === "DELETE") {
+      const t = target(auth.user, q("scope"), q("project").trim());
+      if (t.error) return res(t.status, { error: t.error });
+      await deleteApiKey(store, t.scope, t.id);
+      return res(200, { ok: true, scope: t.scope, id: t.id });
+    }
+
+    if (event.httpMethod !== "PUT" && event.httpMethod !== "POST") return res(405, { error: "GET, PUT or DELETE" });
+    let body;
+    try { body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "{}"); } catch { return res(400, { error: "Body must be JSON" }); }
+    const t = target(auth.user, body.scope, String(body.project || "").trim());
+    if (t.error) return res(t.status, { error: t.error });
+    let key;
+    try { key = await saveApiKey(store, t.scope, t.id, body.apiKey, auth.user?.id || null); } catch (e) { return res(400, { error: e.message }); }
+    return res(200, { scope: t.scope, id: t.id, key });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,32 @@
+// netlify/functions/auto-repair.js
+// Scheduled (see netlify.toml): advances every active batch job that opted into auto-repair and has not stopped.
+// Each run does at most one step per job; see lib/auto-repair.cjs for the stop rules.
+
+const { autoRepairStep } = require("../lib/auto-repair.cjs");
+const { openaiForJob } = require("../lib/api-keys.cjs");
+const { activeJobEntries } = require("../lib/jobs.cjs");
+
+exports.handler = async () => {
+  const { getStore } = await import("@netlify/blobs");
+  const openaiMod = await import("openai");
+  const { toFile } = openaiMod;
+
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  const entries = (await activeJobEntries(store)).filter((j) => j.autoRepair && !j.autoRepairStopped);
+
+  const results = [];
+  for (const entry of entries) {
+    try {
+      const jobMeta = await store.get(`jobs/${entry.jobId}.json`, { type: "json" }).catch(() => null);
+      if (!jobMeta?.autoRepair) continue;
+      results.push({ jobId: entry.jobId, ...(await autoRepairStep({ client: await openaiForJob(store, jobMeta), toFile, store, jobMeta })) });
+    } catch (e) {
+      // Leave the job as is; the next run tries again
+      results.push({ jobId: entry.jobId, error: e?.message || String(e) });
+    }
+  }
+  return { statusCode: 200, body: JSON.stringify({ jobs: results }) };
+};
@@ -0,0 +1,66 @@
+// netlify/functions/batch-cancel.js
+// Cancels every batch of a batch job that is still running (original, splits, repairs) and records the
+// cancellation on the job meta. Requests that finished before the cancel stay in each batch's output file,
+// so batch-reconstruct / batch-download still merge them into the CSV.
+// POST|GET ?id=<jobId | batchId>
+
+const { ACTIVE_BATCH_STATES, resolveJobMeta, jobAccessError, recordCancellation, syncJobIndexStatus, retrieveBatches, summarizeBatches, batchEntries } = require("../lib/jobs.cjs");
+const { stopAutoRepair } = require("../lib/auto-repair.cjs");
+const { openaiForJob } = require("../lib/api-keys.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/batch-cancel" */ };
+
+const CORS = corsHeaders("GET,POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  const url = typeof event?.rawUrl === "string" && event.rawUrl ? new URL(event.rawUrl) : null;
+  const id = url?.searchParams.get("id") || event?.queryStringParameters?.id || "";
+  if (!id) return res(400, { error: "Missing id" });
+
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  try {
+    const denied = await jobAccessError(store, auth.user, id);
+    if (denied) return res(403, { error: denied });
+    const meta = await resolveJobMeta(store, id);
+    if (!meta) return res(404, { error: `Job '${id}' not found` });
+    if (!meta.batchIds?.length) return res(400, { error: `'${id}' is a direct job; use direct-cancel` });
+
+    // Stop auto-repair first so it cannot submit a new round for batches that are being cancelled
+    await stopAutoRepair(store, meta, "cancelled");
+
+    const client = await openaiForJob(store, meta);
+    const batches = await retrieveBatches(client, batchEntries(meta));
+    const results = await Promise.all(batches.map(async (b) => {
+      // "cancelling" batches are already on their way; finished ones cannot be cancelled
+      if (!ACTIVE_BATCH_STATES.includes(b.status) || b.status === "cancelling") return { batchId: b.batchId, from: b.status, status: b.status, error: null };
+      try {
+        const cancelled = await client.batches.cancel(b.batchId);
+        return { batchId: b.batchId, from: b.status, status: cancelled.status, error: null };
+      } catch (e) {
+        return { batchId: b.batchId, from: b.status, status: b.status, error: e?.message || String(e) };
+      }
+    }));
+
+    // Repeating the call (e.g. after a repair batch was added) keeps the first request time
+    const cancellation = { requestedAt: meta.cancellation?.requestedAt || new Date().toISOString(), batches: results };
+    await recordCancellation(store, meta, cancellation);
+    const { state } = summarizeBatches(batches.map((b, i) => ({ ...b, status: results[i].status })));
+    if (meta.jobId && state !== "unknown") await syncJobIndexStatus(store, meta.jobId, state, { cancelRequestedAt: cancellation.requestedAt }).catch(() => {});
+
+    // 502 when OpenAI refused to cancel a batch; `batches` says which
+    return res(results.some((r) => r.error) ? 502 : 200, { jobId: meta.jobId || null, state, ...cancellation });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
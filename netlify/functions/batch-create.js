@@ -1,46 +1,42 @@
-const Busboy = require("busboy");
-const { parse: csvParse } = require("csv-parse");
+const fs = require("node:fs");
+const { missingHeaders } = require("../lib/rows.cjs");
+const { jobSpecFromFields, buildRequestBody, planChunks } = require("../lib/job-spec.cjs");
+const { splitBatchLines } = require("../lib/batch-split.cjs");
+const { writeJobIndex, indexFieldsFromMeta } = require("../lib/jobs.cjs");
+const { customIdFor, manifestEntry, appendManifest } = require("../lib/manifest.cjs");
+const { autoRepairFromFields } = require("../lib/repair.cjs");
+const { validateModelParams } = require("../lib/model-params.cjs");
+const { webhookUrlFromFields } = require("../lib/webhook.cjs");
+const { maxRetriesFromFields } = require("../lib/retry.cjs");
+const { originFromEvent, invokeWorker } = require("../lib/direct-worker.cjs");
+const { loadUpload, uploadedCsvStream } = require("../lib/uploads.cjs");
+const { inputOptionsFromFields, readInput } = require("../lib/input-format.cjs");
+const { storeDownload, storeDownloadFile } = require("../lib/downloads.cjs");
+const { authenticate, ownerOf } = require("../lib/auth.cjs");
+const { resolveKeyRef, apiKeyForRef } = require("../lib/api-keys.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+const { parseMultipartEvent } = require("../lib/multipart.cjs");
 
 exports.config = { /* path: "/api/batch-create" */ };
-const CORS = { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "POST,OPTIONS,HEAD", "Access-Control-Allow-Headers": "Content-Type" };
-
-function res(statusCode, bodyObj) { return { statusCode, headers: { "Content-Type": "application/json", ...CORS }, body: JSON.stringify(bodyObj ?? {}) }; }
+const CORS = corsHeaders("POST,OPTIONS,HEAD");
+const res = responder(CORS);
 function getQuery(event) { try { return event.queryStringParameters || Object.fromEntries(new URL(event.rawUrl).searchParams.entries()); } catch { return {}; } }
 
-function parseMultipartEvent(event) {
-  return new Promise((resolve, reject) => {
-    const bb = Busboy({ headers: { "content-type": event.headers["content-type"] || event.headers["Content-Type"] || "" } });
-    const fields = {}; let fileBuffers = [];
-    bb.on("file", (_name, file) => file.on("data", (d) => fileBuffers.push(d)));
-    bb.on("field", (name, val) => (fields[name] = val));
-    bb.on("error", reject);
-    bb.on("finish", () => resolve({ fields, fileBuffer: fileBuffers.length ? Buffer.concat(fileBuffers) : null }));
-    bb.end(event.isBase64Encoded ? Buffer.from(event.body || "", "base64") : Buffer.from(event.body || ""));
-  });
-}
-
-exports.handler = async function (event) {
+exports.handler = async function (event, context) {
   if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
   if (event.httpMethod !== "POST") return res(405, { error: "POST only" });
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
 
   const { getStore } = await import("@netlify/blobs");
   const openaiMod = await import("openai");
   const OpenAI = openaiMod.default; const { toFile } = openaiMod;
-  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
   try {
-    const { fields, fileBuffer } = await parseMultipartEvent(event);
-    if (!fileBuffer) return res(400, { error: "CSV file is required" });
-
-    const inputCol = fields.inputCol || "text";
-    const skipCol = fields.skipCol || ""; 
-    const targetColsRaw = fields.targetCols || "";
-    const targetCols = targetColsRaw.split(",").map(s => s.trim()).filter(Boolean);
-
-    const model = fields.model || "gpt-5.4-nano";
-    const prompt = fields.prompt || "Translate to English.";
-    const contextDoc = fields.contextDoc || "";
-    const chunkSize = Math.max(1, Math.min(1000, Number(fields.chunkSize || 500)));
+    const { fields, fileName: formFileName, fileBuffer } = await parseMultipartEvent(event);
+    // Files over the request limit arrive through upload-start/-part/-complete and are referenced by id
+    const uploadId = String(fields.uploadId || "").trim();
+    if (!fileBuffer && !uploadId) return res(400, { error: "CSV file is required" });
 
     const query = getQuery(event);
     const maxRows = Number(fields.maxRows || query.maxRows || 0) || 0;
@@ -48,97 +44,114 @@ exports.handler = async function (event) {
     const direct = String(fields.direct || query.direct || "") === "1";
     const concurrency = Math.max(1, Math.min(Number(process.env.MAX_DIRECT_CONCURRENCY || 8), Number(fields.concurrency || query.concurrency || 4)));
 
+    let spec;
+    try { spec = jobSpecFromFields(fields, { batch: !dryRun && !direct }); } catch (e) { return res(400, { error: e.message }); }
+    const { model, chunkSize } = spec;
+    let inputOptions;
+    try { inputOptions = inputOptionsFromFields(fields); } catch (e) { return res(400, { error: e.message }); }
+    let autoRepair = null; let webhookUrl = null; let maxRetries;
+    try { if (direct) maxRetries = maxRetriesFromFields(fields); } catch (e) { return res(400, { error: e.message }); }
+    if (!dryRun && !direct) {
+      try { autoRepair = autoRepairFromFields(fields); webhookUrl = webhookUrlFromFields(fields); } catch (e) { return res(400, { error: e.message }); }
+      const paramError = autoRepair?.fallbackModel ? validateModelParams(autoRepair.fallbackModel, spec.modelParams, { batch: true }) : null;
+      if (paramError) return res(400, { error: `Fallback model: ${paramError}` });
+    }
+
     const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
     const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
     const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
 
-    const jobId = crypto.randomUUID();
-    await store.set(`csv/${jobId}.csv`, fileBuffer, { contentType: "text/csv; charset=utf-8" });
+    // The job runs on the key of whoever submits it (or of the project named in keyProject); see lib/api-keys.cjs
+    const keyRef = await resolveKeyRef(store, { user: auth.user, project: String(fields.keyProject || "").trim() });
+    if (keyRef.error) return res(keyRef.status, { error: keyRef.error });
+    const client = new OpenAI({ apiKey: await apiKeyForRef(store, keyRef.ref) });
+    const access = { owner: ownerOf(auth.user), apiKeyRef: keyRef.ref };
+
+    let jobId; let fileName = formFileName; let file;
+    if (uploadId) {
+      // The upload id becomes the job id; its file is already at csv/<uploadId>.csv
+      const upload = await loadUpload(store, uploadId, auth.user);
+      if (!upload?.completedAt) return res(404, { error: "Upload not found or not completed" });
+      if (await store.get(`jobs/${uploadId}.json`, { type: "json" }).catch(() => null)) return res(409, { error: "This upload was already used for a job" });
+      jobId = uploadId; fileName = upload.fileName;
+      if (!(await uploadedCsvStream(store, uploadId))) return res(404, { error: "Uploaded file not found" });
+      file = { open: () => uploadedCsvStream(store, uploadId) };
+    } else {
+      jobId = crypto.randomUUID();
+      file = { buffer: fileBuffer };
+    }
+    let input;
+    try { input = await readInput(file, { fileName, options: inputOptions, spec, maxRows, convert: true }); } catch (e) { return res(400, { error: `Could not read the input file: ${e.message}` }); }
+    const { headers, rowCount, items: validItems } = input;
+    // Every mode reads csv/<jobId>.csv, so other formats are stored converted to UTF-8 comma CSV
+    try {
+      if (!rowCount) return res(400, { error: "CSV has no rows" });
+      if (input.csvPath) await storeDownloadFile(store, `csv/${jobId}.csv`, input.csvPath);
+      else if (!uploadId) await storeDownload(store, `csv/${jobId}.csv`, fileBuffer);
+    } finally {
+      if (input.csvPath) await fs.promises.rm(input.csvPath, { force: true });
+    }
+    const { format, encoding, delimiter, sheet } = input.info;
+    const naming = { name: String(fields.name || "").trim() || fileName || "", fileName, input: { format, encoding, delimiter, ...(sheet ? { sheet } : {}) } };
 
-    const rows = await new Promise((resolve, reject) => {
-      const out = [];
-      csvParse(fileBuffer, { columns: true, relax_quotes: true, skip_empty_lines: true, bom: true }).on("data", (r) => out.push(r)).on("end", () => resolve(out)).on("error", reject);
-    });
-    if (!rows.length) return res(400, { error: "CSV has no rows" });
-
-    const effectiveRows = maxRows > 0 ? rows.slice(0, maxRows) : rows;
-    
-    const validItems = [];
-    effectiveRows.forEach((r, idx) => {
-      const text = String(r?.[inputCol] ?? "").trim();
-      const skipText = skipCol ? String(r?.[skipCol] ?? "").trim() : "";
-      if (text && !skipText) validItems.push({ id: idx, text }); 
-    });
+    const unknownCols = missingHeaders(spec, headers);
+    if (unknownCols.length) return res(400, { error: `Input references column(s) not in the CSV: ${unknownCols.join(", ")}` });
 
     if (validItems.length === 0) return res(400, { error: "No valid rows found (all empty or already skipped)." });
 
-    function buildBody(rowsChunk, targetModel, targetColName) {
-      let currentPrompt = prompt;
-      let suffix = ' You will receive a json object {"rows":[{"id":number,"text":string},...]}. For each item, produce {"id": same id, "result": <string>} following the user instructions above. The output must be valid json. Return ONLY a json object exactly like: {"results":[{"id":number,"result":string},...]} in the SAME ORDER as input.';
-      
-      if (targetColName) {
-        currentPrompt = prompt.replace(/\$\{columnName(s)?\}/gi, targetColName);
-        suffix = ` You will receive a json object {"rows":[{"id":number,"text":string},...]}. For each item, produce {"id": same id, "cols": {"${targetColName}": <string>}} following the user instructions above. The output must be valid json. Return ONLY a json object exactly like: {"results":[{"id":number,"cols":{"${targetColName}": "..."}},...]} in the SAME ORDER as input.`;
-      }
-      
-      const systemPromptContent = contextDoc ? `[REFERENCE CONTEXT]\n${contextDoc}\n\n[INSTRUCTIONS]\n${currentPrompt}` : currentPrompt;
-      
-      return {
-        model: targetModel,
-        input: [
-          { role: "system", content: `${systemPromptContent}${suffix}` },
-          { role: "user", content: "Return only a json object as specified. The output must be valid json." },
-          { role: "user", content: JSON.stringify({ rows: rowsChunk }) }
-        ],
-        text: { format: { type: "json_object" } },
-      };
-    }
-
     if (dryRun) {
       const dryK = Math.min(chunkSize, 5);
       const firstChunk = validItems.slice(0, dryK);
-      const firstCol = targetCols.length > 0 ? targetCols[0] : null;
-      const resp = await client.responses.create(buildBody(firstChunk, model.startsWith("gpt-5") ? "gpt-4.1-mini" : model, firstCol));
+      const request = buildRequestBody(spec, firstChunk, { targetCol: spec.targetCols[0] || null });
+      const resp = await client.responses.create(request);
       let parsed = null; try { parsed = JSON.parse(resp.output_text || ""); } catch {}
-      return res(200, { mode: "dryRun", jobId, usedRows: firstChunk.length, model, response: resp, parsed });
+      return res(200, { mode: "dryRun", jobId, usedRows: firstChunk.length, model, request, response: resp, parsed });
     }
 
     if (direct) {
-      await store.set(`jobs/${jobId}.json`, JSON.stringify({ jobId, model, prompt, contextDoc, inputCol, skipCol, targetCols, chunkSize, concurrency, createdAt: new Date().toISOString() }), { contentType: "application/json" });
-      await store.set(`jobs/${jobId}.status.json`, JSON.stringify({ jobId, status: "queued", updatedAt: new Date().toISOString(), events: [{ ts: new Date().toISOString(), msg: "queued" }] }), { contentType: "application/json" });
-      
-      const hdrs = event.headers || {};
-      const host = hdrs["x-forwarded-host"] || hdrs["host"] || "localhost:8888";
-      const origin = host ? `${hdrs["x-forwarded-proto"] || "http"}://${host}` : (process.env.URL || "http://localhost:8888");
-
-      try {
-        const wr = await fetch(`${origin}/.netlify/functions/direct-worker-background`, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ jobId }) });
-        if (!wr.ok) throw new Error(`worker HTTP ${wr.status}`);
-      } catch (e) { return res(500, { error: `Worker invoke failed: ${e.message}` }); }
+      const meta = { jobId, ...naming, ...access, ...spec, concurrency, ...(maxRetries !== undefined ? { maxRetries } : {}), createdAt: new Date().toISOString() };
+      await store.set(`jobs/${jobId}.json`, JSON.stringify(meta), { contentType: "application/json" });
+      await writeJobIndex(store, jobId, indexFieldsFromMeta(meta, { mode: "direct", rowCount: validItems.length, status: "queued" }));
+      await store.set(`jobs/${jobId}.status.json`, JSON.stringify({ jobId, status: "queued", updatedAt: new Date().toISOString(), seq: 1, events: [{ seq: 1, ts: new Date().toISOString(), type: "info", msg: "queued" }] }), { contentType: "application/json" });
+
+      try { await invokeWorker(originFromEvent(event), { jobId }); } catch (e) { return res(500, { error: `Worker invoke failed: ${e.message}` }); }
       return res(202, { mode: "direct", jobId, model, rowCount: validItems.length, download: `/.netlify/functions/batch-download?id=${jobId}` });
     }
 
     // BATCH MODE (Multi-Column Splitting)
-    const lines = [];
-    if (targetCols.length > 0) {
-      targetCols.forEach((colName, colIdx) => {
-        for (let start = 0; start < validItems.length; start += chunkSize) {
-          const chunk = validItems.slice(start, start + chunkSize);
-          lines.push(JSON.stringify({ custom_id: `${start}_${colIdx}`, method: "POST", url: "/v1/responses", body: buildBody(chunk, model, colName) }));
-        }
-      });
-    } else {
-      for (let start = 0; start < validItems.length; start += chunkSize) {
-        const chunk = validItems.slice(start, start + chunkSize);
-        lines.push(JSON.stringify({ custom_id: String(start), method: "POST", url: "/v1/responses", body: buildBody(chunk, model, null) }));
+    const requests = planChunks(validItems, spec).map((chunk) => {
+      const body = buildRequestBody(spec, chunk.rows, { targetCol: chunk.targetCol });
+      const customId = customIdFor(chunk, 0);
+      return { chunk, customId, body, line: JSON.stringify({ custom_id: customId, method: "POST", url: "/v1/responses", body }) };
+    });
+
+    // Split across as many batches as the per-batch limits need; they all belong to this one job
+    let groups;
+    try { groups = splitBatchLines(requests); } catch (e) { return res(400, { error: e.message }); }
+
+    const createdAt = new Date().toISOString();
+    const batches = [];
+    const jobMeta = () => ({ jobId, mode: "batch", batchIds: batches.map(b => b.batchId), batches, ...naming, ...access, ...spec, createdAt, ...(webhookUrl ? { webhookUrl } : {}), ...(autoRepair ? { autoRepair, autoRepairState: { rounds: 0, stopped: null } } : {}) });
+    const writeJobMeta = () => store.set(`jobs/${jobId}.json`, JSON.stringify(jobMeta()), { contentType: "application/json" });
+    try {
+      for (let part = 0; part < groups.length; part++) {
+        const g = groups[part];
+        const name = groups.length > 1 ? `${jobId}.part${part + 1}.jsonl` : `${jobId}.jsonl`;
+        const jsonlFile = await client.files.create({ file: await toFile(Buffer.from(g.lines.join("\n"), "utf8"), name, { type: "application/jsonl" }), purpose: "batch" });
+        const batch = await client.batches.create({ input_file_id: jsonlFile.id, endpoint: "/v1/responses", completion_window: "24h" });
+        batches.push({ batchId: batch.id, part, requests: g.requests, bytes: g.bytes, estTokens: g.tokens });
+        await appendManifest(store, jobId, Object.fromEntries(g.items.map((r) => [r.customId, manifestEntry(r.chunk, { batchId: batch.id, round: 0 })])), { round: 0 });
+        await store.set(`jobs/${batch.id}.json`, JSON.stringify({ jobId, batchId: batch.id, part, ...spec, createdAt }), { contentType: "application/json" });
+        await writeJobMeta();
       }
+    } catch (e) {
+      // Batches already created keep running and stay recorded under the job
+      if (batches.length) await writeJobIndex(store, jobId, indexFieldsFromMeta(jobMeta(), { mode: "batch", rowCount: validItems.length, status: "submitted" }));
+      return res(500, { error: `Batch ${batches.length + 1} of ${groups.length} failed: ${e?.message || String(e)}`, jobId, batchIds: batches.map(b => b.batchId) });
     }
 
-    const jsonlBuffer = Buffer.from(lines.join("\n"), "utf8");
-    const jsonlFile = await client.files.create({ file: await toFile(jsonlBuffer, `${jobId}.jsonl`, { type: "application/jsonl" }), purpose: "batch" });
-    const batch = await client.batches.create({ input_file_id: jsonlFile.id, endpoint: "/v1/responses", completion_window: "24h" });
-
-    await store.set(`jobs/${batch.id}.json`, JSON.stringify({ jobId, batchId: batch.id, inputCol, skipCol, targetCols, model, prompt, chunkSize, createdAt: new Date().toISOString() }), { contentType: "application/json" });
-    return res(200, { mode: "batch", batchId: batch.id, jobId });
+    await writeJobIndex(store, jobId, indexFieldsFromMeta(jobMeta(), { mode: "batch", rowCount: validItems.length, status: "submitted" }));
+    if (autoRepair || webhookUrl) await writeJobIndex(store, jobId, { ...(autoRepair ? { autoRepair: true, autoRepairRounds: 0, autoRepairStopped: null } : {}), ...(webhookUrl ? { webhook: true } : {}) });
+    return res(200, { mode: "batch", batchId: batches[0].batchId, batchIds: batches.map(b => b.batchId), jobId });
   } catch (err) { return res(500, { error: err?.message || String(err) }); }
 };
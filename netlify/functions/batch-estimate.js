@@ -0,0 +1,63 @@
+// netlify/functions/batch-estimate.js
+// Pre-flight token and cost estimate. Takes the same multipart form as batch-create and applies the same
+// row rules (input spec, skipCol, maxRows, chunking), but only counts tokens: nothing is stored or sent to OpenAI.
+// Like batch-create it takes `uploadId` (a completed upload) in place of the file, and any input format.
+
+const { missingHeaders } = require("../lib/rows.cjs");
+const { jobSpecFromFields } = require("../lib/job-spec.cjs");
+const { estimateJob } = require("../lib/estimate.cjs");
+const { loadUpload, uploadedCsvStream } = require("../lib/uploads.cjs");
+const { inputOptionsFromFields, readInput } = require("../lib/input-format.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+const { parseMultipartEvent } = require("../lib/multipart.cjs");
+
+exports.config = { /* path: "/api/batch-estimate" */ };
+const CORS = corsHeaders("POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async function (event, context) {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  if (event.httpMethod !== "POST") return res(405, { error: "POST only" });
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  try {
+    const { fields, fileName: formFileName, fileBuffer } = await parseMultipartEvent(event);
+    const uploadId = String(fields.uploadId || "").trim();
+    if (!fileBuffer && !uploadId) return res(400, { error: "CSV file is required" });
+
+    const maxRows = Number(fields.maxRows || 0) || 0;
+    const outputRatio = Number(fields.outputRatio || 1);
+    if (!(outputRatio > 0)) return res(400, { error: "outputRatio must be a positive number" });
+
+    const direct = String(fields.direct || "") === "1";
+    let spec; let inputOptions;
+    try { spec = jobSpecFromFields(fields, { batch: !direct }); inputOptions = inputOptionsFromFields(fields); } catch (e) { return res(400, { error: e.message }); }
+
+    let file = { buffer: fileBuffer }; let fileName = formFileName;
+    if (uploadId) {
+      const { getStore } = await import("@netlify/blobs");
+      const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+      const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+      const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+      const upload = await loadUpload(store, uploadId, auth.user);
+      if (!upload?.completedAt) return res(404, { error: "Upload not found or not completed" });
+      if (!(await uploadedCsvStream(store, uploadId))) return res(404, { error: "Uploaded file not found" });
+      file = { open: () => uploadedCsvStream(store, uploadId) }; fileName = upload.fileName;
+    }
+
+    let input;
+    try { input = await readInput(file, { fileName, options: inputOptions, spec, maxRows }); } catch (e) { return res(400, { error: `Could not read the input file: ${e.message}` }); }
+    const { headers, rowCount, items } = input;
+    if (!rowCount) return res(400, { error: "CSV has no rows" });
+
+    const unknownCols = missingHeaders(spec, headers);
+    if (unknownCols.length) return res(400, { error: `Input references column(s) not in the CSV: ${unknownCols.join(", ")}` });
+
+    if (items.length === 0) return res(400, { error: "No valid rows found (all empty or already skipped)." });
+
+    const { format, encoding, delimiter, sheet } = input.info;
+    return res(200, { totalRows: rowCount, input: { format, encoding, delimiter, sheet: sheet || null }, ...estimateJob(spec, items, { outputRatio }) });
+  } catch (err) { return res(500, { error: err?.message || String(err) }); }
+};
@@ -0,0 +1,27 @@
+// netlify/functions/batch-poller.js
+// Scheduled (see netlify.toml): polls every in-flight batch job in the active/ index, updates its stored status
+// and calls the job's webhook once it completes, fails or expires. See lib/poller.cjs.
+// Set OPENAI_BASE_URL to run it against a local fake OpenAI server.
+
+const { needsPoll, pollJob } = require("../lib/poller.cjs");
+const { openaiForJob } = require("../lib/api-keys.cjs");
+const { activeJobEntries } = require("../lib/jobs.cjs");
+
+exports.handler = async () => {
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  const entries = (await activeJobEntries(store)).filter(needsPoll);
+
+  const results = [];
+  for (const entry of entries) {
+    try {
+      results.push(await pollJob({ clientFor: (meta) => openaiForJob(store, meta), store, entry }));
+    } catch (e) {
+      results.push({ jobId: entry.jobId, error: e?.message || String(e) });
+    }
+  }
+  return { statusCode: 200, body: JSON.stringify({ jobs: results }) };
+};
@@ -1,25 +1,21 @@
 // netlify/functions/batch-status.js  (CommonJS + “jobId or batchId” support)
 
-exports.config = { /* path: "/api/batch-status" */ };
+const { authenticate } = require("../lib/auth.cjs");
+const { jobAccessError } = require("../lib/jobs.cjs");
+const { openaiForJob } = require("../lib/api-keys.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
 
-const CORS = {
-  "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET,OPTIONS,HEAD",
-  "Access-Control-Allow-Headers": "Content-Type",
-};
+exports.config = { /* path: "/api/batch-status" */ };
 
-function res(statusCode, body, headers) {
-  return {
-    statusCode,
-    headers: { ...(headers || {}), ...CORS, "Content-Type": "application/json" },
-    body: JSON.stringify(body ?? {}),
-  };
-}
+const CORS = corsHeaders("GET,OPTIONS,HEAD");
+const res = responder(CORS);
 
-exports.handler = async (event) => {
+exports.handler = async (event, context) => {
   if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") {
     return { statusCode: 204, headers: CORS, body: "" };
   }
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
 
   try {
     const rawUrl = typeof event?.rawUrl === "string" ? event.rawUrl : "";
@@ -29,8 +25,6 @@ exports.handler = async (event) => {
 
     // ESM deps (lazy)
     const { getStore } = await import("@netlify/blobs");
-    const { default: OpenAI } = await import("openai");
-    const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
     // Blobs (with optional manual creds for local/dev)
     const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
@@ -39,19 +33,25 @@ exports.handler = async (event) => {
       ? getStore({ name: "openai-batch-csv", siteID, token })
       : getStore("openai-batch-csv");
 
+    const denied = await jobAccessError(store, auth.user, idParam);
+    if (denied) return res(403, { error: denied });
+
     // Accept either batchId (“batch_…”) or jobId (UUID)
     let batchId = idParam;
+    const meta = await store.get(`jobs/${idParam}.json`, { type: "json" }).catch(() => null);
     if (!String(batchId).startsWith("batch_")) {
       // treat as jobId: load meta to find the real batchId
-      const meta = await store.get(`jobs/${idParam}.json`, { type: "json" }).catch(() => null);
-      if (!meta?.batchId) {
+      if (!meta?.batchId && !meta?.batchIds?.length) {
         return res(400, { error: `Invalid id '${idParam}'. Provide a batch id (batch_…) or a job id that has 'batchId' in its metadata.` });
       }
-      batchId = meta.batchId;
+      batchId = meta.batchId || meta.batchIds[0];
     }
 
     // Fetch batch status from OpenAI
+    const client = await openaiForJob(store, meta);
     const b = await client.batches.retrieve(batchId);
+    // Cost report from the last reconstruct/analyze of this job, if any
+    const costReport = meta?.jobId ? await store.get(`reports/${meta.jobId}.json`, { type: "json" }).catch(() => null) : null;
     return res(200, {
       id: b.id,
       status: b.status,
@@ -59,6 +59,9 @@ exports.handler = async (event) => {
       created_at: b.created_at,
       completed_at: b.completed_at,
       output_file_id: b.output_file_id || null,
+      error_file_id: b.error_file_id || null,
+      errors: b.errors || null,
+      costReport: costReport || null,
     });
   } catch (e) {
     return res(500, { error: e?.message || String(e) });
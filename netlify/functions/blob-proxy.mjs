@@ -0,0 +1,90 @@
+// netlify/functions/blob-proxy.mjs
+// Streams a blob from the store as an attachment, for signed links only (see lib/downloads.cjs): job endpoints
+// and the download endpoints issue them, and a link works until it expires.
+// GET|HEAD ?key=...&filename=...&expires=...&sig=...   (403 unsigned or tampered, 410 expired)
+// The content type and size come from the blob's metadata. A single `Range: bytes=...` is answered with 206,
+// so large results can be fetched in pieces or resumed.
+
+import { getStore } from "@netlify/blobs";
+import { contentTypeFor, verifySignedParams } from "../lib/downloads.cjs";
+import { corsHeaders } from "../lib/http.cjs";
+
+export const config = { /* path: "/api/blob-proxy" */ };
+
+const CORS = corsHeaders("GET,OPTIONS,HEAD", {
+  allowHeaders: ["Range"],
+  exposeHeaders: ["Content-Length", "Content-Range", "Accept-Ranges", "Content-Disposition"],
+});
+
+// [start, end] (inclusive) of a single byte range; null to send everything, "unsatisfiable" for 416.
+function parseRange(header, size) {
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m || (!m[1] && !m[2])) return null; // absent, multiple ranges or another unit: the whole blob
+  let start; let end;
+  if (!m[1]) { start = Math.max(0, size - Number(m[2])); end = size - 1; } // suffix: the last n bytes
+  else { start = Number(m[1]); end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1; }
+  return start > end || start >= size ? "unsatisfiable" : [start, end];
+}
+
+// Bytes start..end (inclusive) of a web stream, without buffering the rest.
+function sliceStream(stream, start, end) {
+  const reader = stream.getReader();
+  let offset = 0;
+  return new ReadableStream({
+    async pull(controller) {
+      for (;;) {
+        if (offset > end) { reader.cancel().catch(() => {}); controller.close(); return; }
+        const { done, value } = await reader.read();
+        if (done) { controller.close(); return; }
+        const from = Math.max(0, start - offset); const to = Math.min(value.length, end - offset + 1);
+        offset += value.length;
+        if (from < to) { controller.enqueue(value.subarray(from, to)); return; }
+      }
+    },
+    cancel() { return reader.cancel(); },
+  });
+}
+
+export default async (req) => {
+  if (req.method === "OPTIONS") return new Response(null, { status: 204, headers: CORS });
+  if (req.method !== "GET" && req.method !== "HEAD") return Response.json({ error: "GET only" }, { status: 405, headers: CORS });
+
+  try {
+    const link = verifySignedParams(new URL(req.url).searchParams);
+    if (link.error) return Response.json({ error: link.error }, { status: link.status, headers: CORS });
+    const { key, filename } = link;
+
+    const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+    const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+    const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+    const meta = await store.getMetadata(key).catch(() => null);
+    if (!meta) return Response.json({ error: "Blob not found" }, { status: 404, headers: CORS });
+    // Blobs written before sizes were recorded are read whole to learn it
+    let size = Number(meta.metadata?.size); let buffered = null;
+    if (!Number.isFinite(size)) { buffered = new Uint8Array(await store.get(key, { type: "arrayBuffer" })); size = buffered.length; }
+
+    const headers = {
+      ...CORS,
+      "Content-Type": meta.metadata?.contentType || contentTypeFor(key),
+      "Content-Disposition": `attachment; filename="${(filename || key.split("/").pop()).replace(/["\\\r\n]/g, "_")}"`,
+      "Accept-Ranges": "bytes",
+      "Cache-Control": "private, no-store",
+    };
+    const range = parseRange(req.headers.get("range"), size);
+    if (range === "unsatisfiable") return new Response(null, { status: 416, headers: { ...headers, "Content-Range": `bytes */${size}` } });
+    const [start, end] = range || [0, size - 1];
+    headers["Content-Length"] = String(size ? end - start + 1 : 0);
+    if (range) headers["Content-Range"] = `bytes ${start}-${end}/${size}`;
+    const status = range ? 206 : 200;
+    if (req.method === "HEAD" || !size) return new Response(null, { status, headers });
+
+    if (buffered) return new Response(buffered.subarray(start, end + 1), { status, headers });
+    const stream = await store.get(key, { type: "stream" });
+    if (!stream) return Response.json({ error: "Blob not found" }, { status: 404, headers: CORS });
+    return new Response(range ? sliceStream(stream, start, end) : stream, { status, headers });
+  } catch (e) {
+    console.error("blob-proxy error:", e);
+    return Response.json({ error: e.message || String(e) }, { status: 500, headers: CORS });
+  }
+};
@@ -1,13 +1,24 @@
+const { syncJobIndexStatus, jobAccessError } = require("../lib/jobs.cjs");
+const { FINAL_DIRECT_STATES, requestCancel, setStatusWithoutWorker, statusKey } = require("../lib/progress.cjs");
+const { isLockLive, loadPartials, writeResultCsv } = require("../lib/direct-worker.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
 exports.config = { /* path: "/api/direct-cancel" */ };
 
-exports.handler = async function (event) {
-  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: { "Access-Control-Allow-Origin": "*" }, body: "" };
+const CORS = corsHeaders("GET,POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async function (event, context) {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
 
   const urlStr = typeof event?.rawUrl === "string" ? event.rawUrl : "";
   const url = urlStr ? new URL(urlStr) : null;
   const id = url?.searchParams.get("id") || event?.queryStringParameters?.id || "";
 
-  if (!id) return { statusCode: 400, body: JSON.stringify({ error: "Missing id" }) };
+  if (!id) return res(400, { error: "Missing id" });
 
   const { getStore } = await import("@netlify/blobs");
   const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
@@ -15,17 +26,30 @@ exports.handler = async function (event) {
   const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
 
   try {
+    const denied = await jobAccessError(store, auth.user, id);
+    if (denied) return res(403, { error: denied });
+    const current = await store.get(statusKey(id), { type: "json" }).catch(() => null);
+    if (FINAL_DIRECT_STATES.includes(current?.status)) return res(200, { ok: true, id, status: current.status });
+
+    // A running worker picks this up, writes the cancelled status and a CSV of the finished chunks itself
+    await requestCancel(store, id);
+    // A live lock means a worker is running and owns the status blob
+    const workerRunning = await isLockLive(store, id);
     let statusJson = null;
-    try { statusJson = await store.get(`jobs/${id}.status.json`, { type: "json" }); } catch {}
+    try { statusJson = await store.get(statusKey(id), { type: "json" }); } catch {}
     
-    if (statusJson) {
-      statusJson.status = "cancelled";
-      statusJson.events = statusJson.events || [];
-      statusJson.events.push({ ts: new Date().toISOString(), msg: "Job aborted by user." });
-      await store.set(`jobs/${id}.status.json`, JSON.stringify(statusJson), { contentType: "application/json" });
+    if (workerRunning) {
+      await syncJobIndexStatus(store, id, "cancelled").catch(() => {});
+    } else if (statusJson) {
+      // Paused or stalled: no worker will build the CSV, so merge the stored partials here
+      const meta = await store.get(`jobs/${id}.json`, { type: "json" }).catch(() => null);
+      const parts = meta ? await loadPartials(store, id) : new Map();
+      const written = parts.size > 0 && await writeResultCsv(store, id, meta, { parts });
+      await setStatusWithoutWorker(store, id, "cancelled", written ? `Job aborted by user; csv written from ${parts.size} finished chunks.` : "Job aborted by user.");
+      await syncJobIndexStatus(store, id, "cancelled").catch(() => {});
     }
-    return { statusCode: 200, headers: { "Access-Control-Allow-Origin": "*" }, body: JSON.stringify({ ok: true, id, status: "cancelled" }) };
+    return res(200, { ok: true, id, status: "cancelled" });
   } catch (e) {
-    return { statusCode: 500, body: JSON.stringify({ error: e?.message || String(e) }) };
+    return res(500, { error: e?.message || String(e) });
   }
 };
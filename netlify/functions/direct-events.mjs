@@ -0,0 +1,73 @@
+// netlify/functions/direct-events.mjs
+// Server-Sent Events stream of a direct job's progress, read from the status blob the worker writes.
+// GET ?id=<jobId>  (resumes after the Last-Event-ID header, or ?since=<seq>)
+// With auth on (lib/auth.cjs) only the signed `eventsUrl` from direct-status is accepted.
+// Events: `progress` (counts, ETA, spend, status) whenever it changes, `chunk` per finished or failed chunk,
+// `message` for worker log lines, and `end` once the job is ready, failed, cancelled or paused.
+// A response stays open for DIRECT_EVENTS_MAX_MS (default 9s, under the synchronous function limit);
+// EventSource then reconnects and carries on from the last event id.
+
+import { getStore } from "@netlify/blobs";
+import { IDLE_DIRECT_STATES, statusKey } from "../lib/progress.cjs";
+import { isValidEventsLink } from "../lib/auth.cjs";
+import { corsHeaders } from "../lib/http.cjs";
+
+export const config = { /* path: "/api/direct-events" */ };
+
+const CORS = corsHeaders("GET,OPTIONS,HEAD", { allowHeaders: ["Last-Event-ID"] });
+const POLL_MS = 1000;
+const MAX_MS = Number(process.env.DIRECT_EVENTS_MAX_MS || 9000);
+
+function sse(event, data, id) { return `${id != null ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`; }
+
+function progressOf(st) {
+  return {
+    status: st.status, completedChunks: st.completedChunks || 0, failedChunks: st.failedChunks || 0, totalChunks: st.totalChunks || null,
+    etaSeconds: st.etaSeconds ?? null, concurrency: st.concurrency || null, spend: st.spend || null,
+  };
+}
+
+export default async (req) => {
+  if (req.method === "OPTIONS" || req.method === "HEAD") return new Response(null, { status: 204, headers: CORS });
+  const url = new URL(req.url);
+  const id = url.searchParams.get("id") || "";
+  if (!id) return Response.json({ error: "Missing id" }, { status: 400, headers: CORS });
+  if (!isValidEventsLink(url.searchParams)) return Response.json({ error: "Use the signed eventsUrl from direct-status" }, { status: 401, headers: CORS });
+  const since = Number(req.headers.get("last-event-id") || url.searchParams.get("since") || 0) || 0;
+
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  const encoder = new TextEncoder();
+  let closed = false;
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (text) => controller.enqueue(encoder.encode(text));
+      send("retry: 1000\n\n");
+      let lastSeq = since; let lastProgress = "";
+      const deadline = Date.now() + MAX_MS;
+      try {
+        while (!closed) {
+          const st = await store.get(statusKey(id), { type: "json" }).catch(() => null);
+          if (st) {
+            for (const e of (st.events || []).filter((e) => e.seq > lastSeq)) { send(sse(e.type === "chunk" ? "chunk" : "message", e, e.seq)); lastSeq = e.seq; }
+            const progress = JSON.stringify(progressOf(st));
+            if (progress !== lastProgress) { send(sse("progress", JSON.parse(progress))); lastProgress = progress; }
+            if (IDLE_DIRECT_STATES.includes(st.status)) { send(sse("end", { status: st.status })); break; }
+          } else if (await store.getMetadata(`results/${id}.csv`).catch(() => null)) {
+            send(sse("end", { status: "ready" })); break;
+          }
+          if (Date.now() + POLL_MS > deadline) break;
+          await new Promise((r) => setTimeout(r, POLL_MS));
+        }
+      } catch (e) {
+        send(sse("stream_error", { error: e?.message || String(e) }));
+      }
+      if (!closed) controller.close();
+    },
+    cancel() { closed = true; },
+  });
+
+  return new Response(body, { headers: { ...CORS, "Content-Type": "text/event-stream; charset=utf-8", "Cache-Control": "no-cache" } });
+};
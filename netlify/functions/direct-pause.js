@@ -0,0 +1,47 @@
+// netlify/functions/direct-pause.js
+// Pauses a direct job: chunks in flight finish and are stored, no new ones start. direct-resume continues it.
+// POST|GET ?id=<jobId>
+
+const { syncJobIndexStatus, jobAccessError } = require("../lib/jobs.cjs");
+const { statusKey, IDLE_DIRECT_STATES, requestPause, setStatusWithoutWorker } = require("../lib/progress.cjs");
+const { isLockLive } = require("../lib/direct-worker.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/direct-pause" */ };
+
+const CORS = corsHeaders("GET,POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  const url = typeof event?.rawUrl === "string" && event.rawUrl ? new URL(event.rawUrl) : null;
+  const id = url?.searchParams.get("id") || event?.queryStringParameters?.id || "";
+  if (!id) return res(400, { error: "Missing id" });
+
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  try {
+    const denied = await jobAccessError(store, auth.user, id);
+    if (denied) return res(403, { error: denied });
+    const status = await store.get(statusKey(id), { type: "json" }).catch(() => null);
+    if (!status) return res(404, { error: "Direct job not found" });
+    if (IDLE_DIRECT_STATES.includes(status.status)) return res(409, { error: `Job is already ${status.status}` });
+
+    // A running worker stops taking chunks and writes the paused status itself once the in-flight ones are stored
+    await requestPause(store, id);
+    if (await isLockLive(store, id)) return res(202, { ok: true, id, status: "pausing" });
+
+    await setStatusWithoutWorker(store, id, "paused", "paused");
+    await syncJobIndexStatus(store, id, "paused").catch(() => {});
+    return res(200, { ok: true, id, status: "paused" });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
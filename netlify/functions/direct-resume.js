@@ -0,0 +1,59 @@
+// netlify/functions/direct-resume.js
+// Continues a paused direct job, or restarts one whose worker died (timeout, crash) or that finished with
+// failed chunks. Chunks with stored partials are skipped; chunks that failed for good are tried again
+// (except when resuming from a pause).
+// POST|GET ?id=<jobId>
+
+const { isLockLive, originFromEvent, invokeWorker } = require("../lib/direct-worker.cjs");
+const { statusKey, isCancelRequested, isPauseRequested, clearPause, setStatusWithoutWorker } = require("../lib/progress.cjs");
+const { syncJobIndexStatus, jobAccessError } = require("../lib/jobs.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/direct-resume" */ };
+
+const CORS = corsHeaders("GET,POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  const url = typeof event?.rawUrl === "string" && event.rawUrl ? new URL(event.rawUrl) : null;
+  const id = url?.searchParams.get("id") || event?.queryStringParameters?.id || "";
+  if (!id) return res(400, { error: "Missing id" });
+
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  try {
+    const denied = await jobAccessError(store, auth.user, id);
+    if (denied) return res(403, { error: denied });
+    const meta = await store.get(`jobs/${id}.json`, { type: "json" }).catch(() => null);
+    if (!meta || meta.batchId || meta.batchIds) return res(404, { error: "Direct job not found" });
+    const status = await store.get(statusKey(id), { type: "json" }).catch(() => null);
+
+    if (status?.status === "cancelled" || await isCancelRequested(store, id)) return res(409, { error: "Job was cancelled" });
+    if (status?.status === "ready" && !status.failures?.length) return res(409, { error: "Job is complete; nothing to resume" });
+    if (await isLockLive(store, id)) {
+      // Pause requested but the worker is still finishing its chunks: it checks the flag again before it
+      // stops, and continues in a new invocation when the flag is gone
+      if (await isPauseRequested(store, id)) { await clearPause(store, id); return res(200, { ok: true, id, status: "running" }); }
+      return res(409, { error: "A worker is still running this job" });
+    }
+
+    // No worker holds the lock, so this write cannot race one; pollers see the job as active again right away
+    const wasPaused = status?.status === "paused";
+    await clearPause(store, id);
+    await setStatusWithoutWorker(store, id, "queued", wasPaused ? "resume requested" : "resume requested; failed chunks are tried again");
+    await syncJobIndexStatus(store, id, "queued").catch(() => {});
+
+    await invokeWorker(originFromEvent(event), { jobId: id, retryFailed: !wasPaused });
+    return res(202, { ok: true, id, status: "queued" });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
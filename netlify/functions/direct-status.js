@@ -1,12 +1,19 @@
 // netlify/functions/direct-status.js (CommonJS + Lambda-style, returns progress + events)
 
+const { signedBlobUrl } = require("../lib/downloads.cjs");
+const { authenticate, signedEventsUrl } = require("../lib/auth.cjs");
+const { jobAccessError } = require("../lib/jobs.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
 exports.config = { /* path: "/api/direct-status" */ };
 
-function res(statusCode, bodyObj) {
-  return { statusCode, headers: { "Content-Type": "application/json" }, body: JSON.stringify(bodyObj ?? {}) };
-}
+const CORS = corsHeaders("GET,OPTIONS,HEAD");
+const res = responder(CORS);
 
-exports.handler = async function (event) {
+exports.handler = async function (event, context) {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
   const urlStr = typeof event?.rawUrl === "string" ? event.rawUrl : "";
   const url = urlStr ? new URL(urlStr) : null;
   const id = url?.searchParams.get("id") || event?.queryStringParameters?.id || "";
@@ -21,16 +28,19 @@ exports.handler = async function (event) {
     : getStore("openai-batch-csv");
 
   try {
+    const denied = await jobAccessError(store, auth.user, id);
+    if (denied) return res(403, { error: denied });
     let statusJson = null;
     try { statusJson = await store.get(`jobs/${id}.status.json`, { type: "json" }); } catch {}
 
-    // Fallback: ready if CSV already exists
+    // Fallback: ready if CSV already exists (unless a resumed worker is rewriting it). A cancelled job's
+    // CSV only holds the chunks that finished, so it stays cancelled but downloadable.
     let csvExists = false;
-    if (!statusJson || statusJson.status !== "ready") {
-      try { csvExists = typeof (await store.get(`results/${id}.csv`, { type: "text" })) === "string"; } catch {}
+    if (!statusJson || !["ready", "queued", "running", "paused"].includes(statusJson.status)) {
+      csvExists = Boolean(await store.getMetadata(`results/${id}.csv`).catch(() => null));
     }
 
-    const ready = (statusJson?.status === "ready") || csvExists;
+    const ready = (statusJson?.status === "ready") || (csvExists && statusJson?.status !== "cancelled");
     const status = ready ? "ready" : (statusJson?.status || "running");
 
     return res(200, {
@@ -41,13 +51,27 @@ exports.handler = async function (event) {
       model: statusJson?.model || null,
       rowCount: statusJson?.rowCount || null,
       completedChunks: statusJson?.completedChunks || 0,
+      failedChunks: statusJson?.failedChunks || 0,
+      // chunks that failed after every retry and split: { chunk, rowIds, attempts, error }
+      failures: statusJson?.failures || [],
       totalChunks: statusJson?.totalChunks || null,
+      etaSeconds: statusJson?.etaSeconds ?? null,
+      // current parallel requests; the worker lowers it after rate limits
+      concurrency: statusJson?.concurrency || null,
       processedRows: statusJson?.processedRows || null,
       updatedAt: statusJson?.updatedAt || null,
-      // last few worker messages
-      events: Array.isArray(statusJson?.events) ? statusJson.events.slice(-10) : [],
+      // last few worker messages (direct-events streams all of them)
+      events: Array.isArray(statusJson?.events) ? statusJson.events.filter(e => e.msg).slice(-10) : [],
+      seq: statusJson?.seq || 0,
       partial: !!statusJson?.partial,
-
+      csvAvailable: ready || csvExists,
+      // tokens and USD spent so far, summed from every completed chunk's `usage`
+      spend: statusJson?.spend || null,
+      // signed blob-proxy links { url, expiresAt }: the result CSV once there is one, and the job's input as CSV
+      download: ready || csvExists ? signedBlobUrl(`results/${id}.csv`, { filename: `${id}.csv` }) : null,
+      inputDownload: statusJson ? signedBlobUrl(`csv/${id}.csv`, { filename: `${id}.input.csv` }) : null,
+      // direct-events link for EventSource, which can't send the Authorization header
+      eventsUrl: signedEventsUrl(id),
     });
   } catch (e) {
     return res(500, { error: e?.message || String(e) });
@@ -0,0 +1,43 @@
+// netlify/functions/direct-watchdog.js
+// Scheduled (see netlify.toml): re-invokes the worker of direct jobs that are still queued or running
+// but whose worker is gone (stale lock, no status update for DIRECT_STALL_MS). After
+// DIRECT_MAX_AUTO_RESUMES such restarts the job is marked failed instead.
+
+const { isLockLive, invokeWorker } = require("../lib/direct-worker.cjs");
+const { statusKey, setStatusWithoutWorker } = require("../lib/progress.cjs");
+const { syncJobIndexStatus, activeJobEntries } = require("../lib/jobs.cjs");
+
+const STALL_MS = Number(process.env.DIRECT_STALL_MS || 3 * 60 * 1000);
+const MAX_AUTO_RESUMES = Number(process.env.DIRECT_MAX_AUTO_RESUMES || 5);
+
+exports.handler = async () => {
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+  const origin = process.env.URL || "http://localhost:8888";
+
+  const entries = (await activeJobEntries(store)).filter((j) => j.mode === "direct");
+
+  const results = [];
+  for (const { jobId } of entries) {
+    try {
+      const status = await store.get(statusKey(jobId), { type: "json" }).catch(() => null);
+      if (!status || !["queued", "running"].includes(status.status)) continue;
+      if (Date.now() - Date.parse(status.updatedAt || 0) < STALL_MS || await isLockLive(store, jobId)) continue;
+
+      if (Number(status.autoResumes || 0) >= MAX_AUTO_RESUMES) {
+        const msg = `gave up after ${status.autoResumes} automatic resumes`;
+        await setStatusWithoutWorker(store, jobId, "failed", msg);
+        await syncJobIndexStatus(store, jobId, "failed").catch(() => {});
+        results.push({ jobId, failed: msg });
+        continue;
+      }
+      await invokeWorker(origin, { jobId, autoResume: true });
+      results.push({ jobId, resumed: true });
+    } catch (e) {
+      results.push({ jobId, error: e?.message || String(e) });
+    }
+  }
+  return { statusCode: 200, body: JSON.stringify({ jobs: results }) };
+};
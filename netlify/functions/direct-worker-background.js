@@ -1,147 +1,198 @@
-const { parse: csvParse } = require("csv-parse");
-const { stringify: csvStringify } = require("csv-stringify");
+const { jobCsvRows, parseOutputText } = require("../lib/merge.cjs");
+const { inputSpecFromFields, streamItems } = require("../lib/rows.cjs");
+const { buildRequestBody, planChunks } = require("../lib/job-spec.cjs");
+const { usageFromResponse, addModelUsage, buildCostReport } = require("../lib/usage.cjs");
+const { syncJobIndexStatus } = require("../lib/jobs.cjs");
+const { manifestEntry, appendManifest } = require("../lib/manifest.cjs");
+const { statusKey, createProgress, isPauseRequested } = require("../lib/progress.cjs");
+const { ChunkOutputError, retryPolicy, isFatal, withRetries, splitChunk } = require("../lib/retry.cjs");
+const { createRateLimiter } = require("../lib/rate-limit.cjs");
+const { approxEnqueuedTokens } = require("../lib/batch-split.cjs");
+const { LOCK_TTL_MS, LOCK_HEARTBEAT_MS, lockKey, invokeWorker, loadPartials, writeResultCsv } = require("../lib/direct-worker.cjs");
+const { isWorkerCall } = require("../lib/auth.cjs");
+const { apiKeyForJob } = require("../lib/api-keys.cjs");
 
 exports.config = { /* path: "/api/direct-worker-background" */ };
 const MAX_DIRECT_CONCURRENCY = Number(process.env.MAX_DIRECT_CONCURRENCY || 8);
-const LOCK_TTL_MS = 15 * 60 * 1000; const LOCK_HEARTBEAT_MS = 60 * 1000;
+// Stop taking new chunks after this long and continue in a fresh invocation (background functions get 15 minutes)
+const WORKER_BUDGET_MS = Number(process.env.DIRECT_WORKER_BUDGET_MS || 12 * 60 * 1000);
 function res(statusCode, bodyObj) { return { statusCode, headers: { "Content-Type": "application/json" }, body: JSON.stringify(bodyObj ?? {}) }; }
-function ensureUtf8Bom(str) { return str && !str.startsWith("\uFEFF") ? "\uFEFF" + str : str; }
 
 exports.handler = async function (event) {
   const { getStore } = await import("@netlify/blobs");
   const { default: OpenAI } = await import("openai");
-  const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
   const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
   const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
   const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
 
-  let jobId = ""; let lockTimer = null;
-
-  async function writeStatus(status, extra = {}, message) {
-    if (!jobId) return; const now = new Date().toISOString(); let prev = null;
-    try { prev = await store.get(`jobs/${jobId}.status.json`, { type: "json" }); } catch {}
-    if (prev?.status === "cancelled") return; 
-    const payload = {
-      jobId, status: status || prev?.status || "running", updatedAt: now,
-      totalChunks: Number(extra?.totalChunks ?? prev?.totalChunks ?? 0),
-      concurrency: Number(extra?.concurrency ?? prev?.concurrency ?? 0),
-      completedChunks: Math.max(Number(prev?.completedChunks || 0), Number(extra?.completedChunks ?? 0)),
-      partial: Boolean(extra?.partial || prev?.partial || false),
-      events: prev ? prev.events.slice(-49) : []
-    };
-    if (message) payload.events.push({ ts: now, msg: message });
-    try { await store.set(`jobs/${jobId}.status.json`, JSON.stringify(payload), { contentType: "application/json" }); } catch {}
-  }
-
-  async function checkCancelled() {
-    try { const st = await store.get(`jobs/${jobId}.status.json`, { type: "json" }); return st?.status === "cancelled"; } catch { return false; }
-  }
+  let jobId = ""; let lockTimer = null; let progress = null; let limiter = null;
 
   async function acquireLock() {
-    let lock = null; try { lock = await store.get(`jobs/${jobId}.lock.json`, { type: "json" }); } catch {}
+    let lock = null; try { lock = await store.get(lockKey(jobId), { type: "json" }); } catch {}
     if (lock?.ts && (Date.now() - new Date(lock.ts).getTime()) < LOCK_TTL_MS) return false;
-    await store.set(`jobs/${jobId}.lock.json`, JSON.stringify({ ts: new Date().toISOString() }), { contentType: "application/json" });
-    lockTimer = setInterval(async () => { try { await store.set(`jobs/${jobId}.lock.json`, JSON.stringify({ ts: new Date().toISOString() }), { contentType: "application/json" }); } catch {} }, LOCK_HEARTBEAT_MS);
+    await store.set(lockKey(jobId), JSON.stringify({ ts: new Date().toISOString() }), { contentType: "application/json" });
+    lockTimer = setInterval(async () => { try { await store.set(lockKey(jobId), JSON.stringify({ ts: new Date().toISOString() }), { contentType: "application/json" }); } catch {} }, LOCK_HEARTBEAT_MS);
     return true;
   }
-  async function releaseLock() { if (lockTimer) clearInterval(lockTimer); lockTimer = null; try { await store.delete?.(`jobs/${jobId}.lock.json`); } catch {} }
+  async function releaseLock() { if (lockTimer) clearInterval(lockTimer); lockTimer = null; await limiter?.stop(); try { await store.delete?.(lockKey(jobId)); } catch {} }
 
   try {
-    const raw = event?.body || ""; const body = JSON.parse(event?.isBase64Encoded ? Buffer.from(raw, "base64").toString("utf8") : raw || "{}");
+    const raw = event?.body || ""; const text = event?.isBase64Encoded ? Buffer.from(raw, "base64").toString("utf8") : raw;
+    // Only invokeWorker (which signs the body) may start the worker
+    if (!isWorkerCall(event, text)) return res(401, { error: "Unsigned worker invocation" });
+    const body = JSON.parse(text || "{}");
     jobId = body?.jobId || ""; if (!jobId) return res(400, { error: "Missing jobId" });
+    const startedAt = Date.now();
+    const origin = body.origin || process.env.URL || "http://localhost:8888";
     if (!(await acquireLock())) return res(202, { ok: true, ignored: true });
+    const prevStatus = await store.get(statusKey(jobId), { type: "json" }).catch(() => null);
+    progress = createProgress(store, jobId, prevStatus, { onStatusChange: (status) => syncJobIndexStatus(store, jobId, status).catch(() => {}) });
 
     const meta = await store.get(`jobs/${jobId}.json`, { type: "json" }).catch(() => null);
     if (!meta) { await releaseLock(); return res(404, { error: "Job meta not found" }); }
-    
-    const { model, prompt, contextDoc = "", inputCol = "text", skipCol = "", targetCols = [], chunkSize = 500, concurrency: desiredConcurrency = 4 } = meta;
-
-    const csvTxt = await store.get(`csv/${jobId}.csv`, { type: "text" }).catch(() => null);
-    if (!csvTxt) { await writeStatus("failed", {}, "csv missing"); await releaseLock(); return res(404, { error: "CSV missing" }); }
-
-    const rows = await new Promise((resolve, reject) => {
-      const out = []; csvParse(csvTxt, { columns: true, relax_quotes: true, bom: true, skip_empty_lines: true }).on("data", (r) => out.push(r)).on("end", () => resolve(out)).on("error", reject);
-    });
+    // The submitter's key (lib/api-keys.cjs). Retries are handled per chunk below (backoff, Retry-After,
+    // splitting), not by the SDK.
+    let apiKey;
+    try { apiKey = await apiKeyForJob(store, meta); } catch (e) { await progress.update({ status: "failed" }, e.message); await releaseLock(); return res(400, { error: e.message }); }
+    const client = new OpenAI({ apiKey, maxRetries: 0 });
+
+    const { concurrency: desiredConcurrency = 4 } = meta;
+
+    // Only the items are kept; the rows are streamed again when the result CSV is written
+    const rows = await jobCsvRows(store, jobId);
+    if (!rows) { await progress.update({ status: "failed" }, "csv missing"); await releaseLock(); return res(404, { error: "CSV missing" }); }
+    const { items } = await streamItems(rows, inputSpecFromFields(meta));
+    const chunks = planChunks(items, meta);
+    // Direct chunks are keyed by index; the manifest lets every merge check returned ids against the chunk
+    let manifest = await appendManifest(store, jobId, Object.fromEntries(chunks.map((c, idx) => [String(idx), manifestEntry(c)])));
+    // Halves of a split chunk get keys like "3.0" and "3.1"; manifest writes are chained so none is lost
+    let manifestWrites = Promise.resolve();
+    const addToManifest = (entries) => (manifestWrites = manifestWrites.then(async () => { manifest = await appendManifest(store, jobId, entries); }));
+    const policy = retryPolicy(meta);
+
+    // Resume: chunks with a stored partial are done. Chunks split by an earlier invocation are split the same
+    // way again (halving is deterministic), and chunks that already failed for good are only retried on request.
+    const parts = await loadPartials(store, jobId);
+    const manifestKeys = new Set(Object.keys(manifest.chunks));
+    const leaves = [];
+    const expand = (key, chunk) => {
+      const halves = manifestKeys.has(`${key}.0`) ? splitChunk(chunk) : null;
+      if (halves) halves.forEach((c, i) => expand(`${key}.${i}`, c)); else leaves.push({ key, chunk });
+    };
+    chunks.forEach((chunk, idx) => expand(String(idx), chunk));
+    const keptFailures = body.retryFailed ? [] : (prevStatus?.failures || []).filter((f) => !parts.has(f.chunk));
+    const failedKeys = new Set(keptFailures.map((f) => f.chunk));
+    const queue = leaves.filter((t) => !parts.has(t.key) && !failedKeys.has(t.key));
+    let usageByModel = {};
+    for (const part of parts.values()) if (part.usage) usageByModel = addModelUsage(usageByModel, part.model || meta.model, part.usage);
+    const totalChunks = leaves.length;
 
-    const items = [];
-    rows.forEach((r, idx) => {
-      const text = String(r?.[inputCol] ?? "").trim();
-      const skipText = skipCol ? String(r?.[skipCol] ?? "").trim() : "";
-      if (text && !skipText) items.push({ id: idx, text });
+    const concurrency = Math.max(1, Math.min(MAX_DIRECT_CONCURRENCY, Number(desiredConcurrency || 4)));
+    const { invocations, autoResumes } = progress.snapshot();
+    await progress.update({
+      status: "running", totalChunks, concurrency, completedChunks: parts.size, failedChunks: keptFailures.length, failures: keptFailures, usageByModel,
+      partial: parts.size > 0, invocations: invocations + 1, autoResumes: autoResumes + (body.autoResume ? 1 : 0),
+    }, invocations ? `resumed (invocation ${invocations + 1}${body.autoResume ? ", after the worker stopped" : ""}): ${parts.size}/${totalChunks} chunks already done` : `plan: ${totalChunks} chunks`);
+    // `concurrency` is the ceiling; the limiter lowers it on 429s and waits out exhausted rate-limit windows
+    limiter = createRateLimiter({
+      store, apiKey, jobId, maxConcurrency: concurrency,
+      onConcurrencyChange: (n, prev, reason) => progress.update({ concurrency: n }, `concurrency ${prev} → ${n} (${reason})`),
     });
 
-    const chunks = []; 
-    if (targetCols && targetCols.length > 0) {
-      targetCols.forEach(colName => {
-        for (let i = 0; i < items.length; i += chunkSize) chunks.push({ rows: items.slice(i, i + chunkSize), targetCol: colName });
-      });
-    } else {
-      for (let i = 0; i < items.length; i += chunkSize) chunks.push({ rows: items.slice(i, i + chunkSize), targetCol: null });
+    let inFlight = 0; let outOfTime = false; let paused = false; let fatalError = null;
+
+    async function runChunk(chunk) {
+      const body = buildRequestBody(meta, chunk.rows, { targetCol: chunk.targetCol });
+      const release = await limiter.acquire(approxEnqueuedTokens(body));
+      let resp;
+      try {
+        const { data, response } = await client.responses.create(body).withResponse();
+        await limiter.observe(response.headers); release(); resp = data;
+      } catch (e) {
+        await limiter.observe(e?.headers); release({ rateLimited: e?.status === 429 }); throw e;
+      }
+      if (resp.status === "incomplete") throw new ChunkOutputError(`output truncated (${resp.incomplete_details?.reason || "incomplete"})`, { retryable: false });
+      // Raw output text is kept so the merge engine applies the same JSON fallbacks as batch outputs
+      const part = { output_text: resp.output_text || "", model: resp.model || meta.model, usage: usageFromResponse(resp.usage) };
+      if (!parseOutputText(part.output_text).parsed) throw new ChunkOutputError("output was not valid JSON");
+      return part;
     }
-    const totalChunks = chunks.length;
-    
-    const concurrency = Math.max(1, Math.min(MAX_DIRECT_CONCURRENCY, Number(desiredConcurrency || 4)));
-    await writeStatus("running", { totalChunks, concurrency, completedChunks: 0, partial: false }, `plan: ${totalChunks} chunks`);
-
-    const parts = new Array(totalChunks); let nextIdx = 0; let completedChunks = 0;
-    function pickNext() { return nextIdx >= totalChunks ? -1 : nextIdx++; }
 
     async function worker() {
       for (;;) {
-        if (await checkCancelled()) break; 
-        const idx = pickNext(); if (idx === -1) break;
+        if (fatalError || await progress.checkCancelled()) break;
+        // Pausing only stops new chunks; the ones in flight finish and are stored
+        if (queue.length && (paused || await isPauseRequested(store, jobId))) { paused = true; break; }
+        if (Date.now() - startedAt > WORKER_BUDGET_MS) { outOfTime = true; break; }
+        const task = queue.shift();
+        // Another worker may still split its chunk into new tasks
+        if (!task) { if (!inFlight) break; await new Promise((r) => setTimeout(r, 200)); continue; }
+        const { key, chunk } = task; inFlight++;
         try {
-            const chunkObj = chunks[idx];
-            let currentPrompt = prompt;
-            let suffix = ' You will receive a json object {"rows":[{"id":number,"text":string},...]}. For each item, produce {"id": same id, "result": <string>} following the user instructions above. The output must be valid json. Return ONLY a json object exactly like: {"results":[{"id":number,"result":string},...]} in the SAME ORDER as input.';
-            
-            if (chunkObj.targetCol) {
-              currentPrompt = prompt.replace(/\$\{columnName(s)?\}/gi, chunkObj.targetCol);
-              suffix = ` You will receive a json object {"rows":[{"id":number,"text":string},...]}. For each item, produce {"id": same id, "cols": {"${chunkObj.targetCol}": <string>}} following the user instructions above. The output must be valid json. Return ONLY a json object exactly like: {"results":[{"id":number,"cols":{"${chunkObj.targetCol}": "..."}},...]} in the SAME ORDER as input.`;
-            }
-            
-            const systemPromptContent = contextDoc ? `[REFERENCE CONTEXT]\n${contextDoc}\n\n[INSTRUCTIONS]\n${currentPrompt}` : currentPrompt;
-
-            const resp = await client.responses.create({
-              model, input: [{ role: "system", content: `${systemPromptContent}${suffix}` }, { role: "user", content: "Return only a json object as specified. The output must be valid json." }, { role: "user", content: JSON.stringify({ rows: chunkObj.rows }) }], text: { format: { type: "json_object" } }
+            const part = await withRetries(() => runChunk(chunk), policy, {
+              onRetry: (attempt, delayMs, e) => progress.chunkRetry(key, attempt, delayMs, e.message),
+              shouldStop: () => progress.checkCancelled(),
             });
-            let parsed = null; try { parsed = JSON.parse(resp.output_text || ""); } catch {}
-            parts[idx] = parsed; completedChunks++;
-            await store.set(`partials/${jobId}/${idx}.json`, JSON.stringify(parsed || {}), { contentType: "application/json" });
-            await writeStatus("running", { completedChunks, totalChunks, partial: true });
-        } catch (e) { await writeStatus("running", {}, `chunk#${idx} err: ${e.message}`); }
+            parts.set(key, part);
+            await store.set(`partials/${jobId}/${key}.json`, JSON.stringify(part), { contentType: "application/json" });
+            progress.chunkDone(key, { rows: chunk.rows.length, model: part.model, usage: part.usage });
+        } catch (e) {
+          if (isFatal(e)) fatalError ||= e;
+          const halves = fatalError || progress.cancelled ? null : splitChunk(chunk);
+          if (halves) {
+            const subtasks = halves.map((c, i) => ({ key: `${key}.${i}`, chunk: c }));
+            await addToManifest(Object.fromEntries(subtasks.map((t) => [t.key, manifestEntry(t.chunk)])));
+            queue.unshift(...subtasks);
+            progress.chunkSplit(key, halves.map((c) => c.rows.length), e.message);
+          } else {
+            progress.chunkFailed(key, e.message, { rowIds: chunk.rows.map((r) => r.id), attempts: e.attempts || 1 });
+          }
+        } finally { inFlight--; }
       }
     }
 
     await Promise.all(Array.from({ length: concurrency }, () => worker()));
     
-    if (await checkCancelled()) { await releaseLock(); return res(200, { aborted: true }); }
-
-    const merged = rows.map((r) => ({ ...r })); const colSet = new Set();
-    for (let idx = 0; idx < totalChunks; idx++) {
-      const part = parts[idx]; if (!part) continue;
-      const arr = Array.isArray(part.results) ? part.results : (Array.isArray(part) ? part : null);
-      if (!arr) continue;
-      for (const item of arr) {
-        const outIdx = Number(item?.id); if (!Number.isFinite(outIdx) || outIdx < 0 || outIdx >= merged.length) continue;
-        if (item && typeof item.cols === "object" && item.cols !== null) {
-          for (const [k, v] of Object.entries(item.cols)) { merged[outIdx][k] = (v == null) ? "" : String(v); colSet.add(k); }
-        } else if (typeof item?.result === "string") { merged[outIdx].result = item.result; colSet.add("result"); }
-      }
+    const writeCostReport = () => store.set(`reports/${jobId}.json`, JSON.stringify(buildCostReport(jobId, [{ batchId: null, mode: "direct", byModel: progress.snapshot().usageByModel }])), { contentType: "application/json" }).catch(() => {});
+    await manifestWrites;
+    if (await progress.checkCancelled()) {
+      // Keep what finished: the CSV has every completed chunk, the rest stays empty
+      if (parts.size && await writeResultCsv(store, jobId, meta, { manifest, parts })) await progress.update({ partial: true }, `csv written from ${parts.size}/${progress.snapshot().totalChunks} chunks`);
+      await progress.flush(); await writeCostReport(); await releaseLock(); return res(200, { aborted: true });
     }
+    if (fatalError) {
+      // The remaining chunks would fail the same way; keep what finished and stop the job
+      if (parts.size) await writeResultCsv(store, jobId, meta, { manifest, parts });
+      await progress.update({ status: "failed" }, `stopped: ${fatalError.message}`);
+      await writeCostReport(); await releaseLock(); return res(200, { ok: false, jobId, error: fatalError.message });
+    }
+    // Hand over to a fresh invocation; if that call fails, the watchdog resumes the job once the lock goes stale
+    const continueInNewInvocation = async (why) => {
+      await progress.update({}, `${why}, continuing with ${queue.length} chunks in a new invocation`);
+      await releaseLock();
+      try { await invokeWorker(origin, { jobId }); } catch (e) { await progress.update({}, `continuation invoke failed: ${e.message}`); }
+      return res(202, { ok: true, jobId, continued: true });
+    };
+    // A resume while the in-flight chunks finished saw this worker's lock and only deleted the pause flag,
+    // so the flag is checked again before writing "paused", and once more after the lock is gone
+    if (paused && queue.length && !(await isPauseRequested(store, jobId))) return continueInNewInvocation("resumed while pausing");
+    if (paused && queue.length) {
+      await progress.update({ status: "paused" }, `paused: ${parts.size}/${progress.snapshot().totalChunks} chunks done, ${queue.length} left`);
+      await writeCostReport(); await releaseLock();
+      const status = await store.get(statusKey(jobId), { type: "json" }).catch(() => null);
+      if (status?.status === "paused" && !(await isPauseRequested(store, jobId))) return continueInNewInvocation("resumed while pausing");
+      return res(202, { ok: true, jobId, paused: true });
+    }
+    if (outOfTime && queue.length) return continueInNewInvocation("time budget used");
 
-    // CRITICAL FIX: Prevent duplicate headers
-    const originalHeaders = Object.keys(rows[0] || {});
-    const dynamicHeaders = Array.from(colSet).filter(h => !originalHeaders.includes(h));
-    const headers = [...originalHeaders, ...dynamicHeaders];
-
-    const csvStr = await new Promise((res, rej) => { csvStringify(merged, { header: true, columns: headers }, (err, out) => err ? rej(err) : res(out)); });
-    await store.set(`results/${jobId}.csv`, ensureUtf8Bom(csvStr), { contentType: "text/csv; charset=utf-8" });
-    await writeStatus("ready", { completedChunks: totalChunks }, "csv written: ready");
+    await writeResultCsv(store, jobId, meta, { manifest, parts });
+    await writeCostReport();
+    const { failedChunks, failures } = progress.snapshot();
+    await progress.update({ status: "ready" }, failedChunks ? `csv written: ready, ${failures.reduce((n, f) => n + f.rowIds.length, 0)} rows in ${failedChunks} failed chunk(s) left empty` : "csv written: ready");
 
     await releaseLock(); return res(202, { ok: true, jobId });
   } catch (err) {
-    try { await writeStatus("failed", {}, `fatal: ${err?.message || String(err)}`); } catch {}
+    try { await progress?.update({ status: "failed" }, `fatal: ${err?.message || String(err)}`); } catch {}
     try { await releaseLock(); } catch {} return res(500, { error: err?.message || String(err) });
   }
 };
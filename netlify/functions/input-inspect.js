@@ -0,0 +1,52 @@
+// netlify/functions/input-inspect.js
+// Detected format of an input file, its sheets and columns, and the first rows, for the sheet/column picker.
+// Takes the same multipart form as batch-create (file or uploadId, plus inputFormat/sheet/delimiter/encoding
+// overrides); nothing is stored.
+// -> { format, encoding, delimiter, sheets, sheet, headers, sample, rowCount }  (rowCount null when not counted)
+
+const { loadUpload, uploadedCsvStream } = require("../lib/uploads.cjs");
+const { inputOptionsFromFields, previewInput } = require("../lib/input-format.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+const { parseMultipartEvent } = require("../lib/multipart.cjs");
+
+exports.config = { /* path: "/api/input-inspect" */ };
+const CORS = corsHeaders("POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async function (event, context) {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  if (event.httpMethod !== "POST") return res(405, { error: "POST only" });
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  try {
+    const { fields, fileName: formFileName, fileBuffer } = await parseMultipartEvent(event);
+    const uploadId = String(fields.uploadId || "").trim();
+    if (!fileBuffer && !uploadId) return res(400, { error: "A file is required" });
+
+    let options;
+    try { options = inputOptionsFromFields(fields); } catch (e) { return res(400, { error: e.message }); }
+
+    let file = { buffer: fileBuffer }; let fileName = formFileName;
+    if (uploadId) {
+      const { getStore } = await import("@netlify/blobs");
+      const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+      const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+      const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+      const upload = await loadUpload(store, uploadId, auth.user);
+      if (!upload?.completedAt) return res(404, { error: "Upload not found or not completed" });
+      if (!(await uploadedCsvStream(store, uploadId))) return res(404, { error: "Uploaded file not found" });
+      file = { open: () => uploadedCsvStream(store, uploadId) }; fileName = upload.fileName;
+    }
+
+    let preview;
+    try { preview = await previewInput(file, { fileName, options }); } catch (e) { return res(400, { error: `Could not read the input file: ${e.message}` }); }
+    const { info, headers, rows, rowCount } = preview;
+    return res(200, {
+      format: info.format, encoding: info.encoding, delimiter: info.delimiter,
+      sheets: info.sheets || null, sheet: info.sheet || null,
+      headers, sample: rows, rowCount,
+    });
+  } catch (err) { return res(500, { error: err?.message || String(err) }); }
+};
@@ -0,0 +1,72 @@
+// netlify/functions/job-list.js
+// Job history from the server-side index (index/<jobId>.json), newest first.
+// GET ?status=&model=&mode=&q=<name contains>&from=<date>&to=<date>&owner=<user id | "me">&limit=
+// GET ?id=<jobId> returns one entry plus its stored job spec, for reopening it in a project tab.
+
+const { authenticate, canAccessJob } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/job-list" */ };
+
+const CORS = corsHeaders("GET,OPTIONS,HEAD");
+const MAX_LIMIT = 500;
+
+const res = responder(CORS);
+
+// `to` given as a bare date includes that whole day.
+function dateBound(value, endOfDay) {
+  if (!value) return null;
+  const t = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(t) ? undefined : t;
+}
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  try {
+    const url = event?.rawUrl ? new URL(event.rawUrl) : null;
+    const q = (k) => url?.searchParams.get(k) || event?.queryStringParameters?.[k] || "";
+
+    const { getStore } = await import("@netlify/blobs");
+    const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+    const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+    const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+    if (q("id")) {
+      const job = await store.get(`index/${q("id")}.json`, { type: "json" }).catch(() => null);
+      if (!job) return res(404, { error: "Job not found in the index" });
+      if (!canAccessJob(auth.user, job)) return res(403, { error: "This job belongs to another user" });
+      const meta = await store.get(`jobs/${job.jobId}.json`, { type: "json" }).catch(() => null);
+      return res(200, { job, meta });
+    }
+
+    const from = dateBound(q("from"), false); const to = dateBound(q("to"), true);
+    if (from === undefined || to === undefined) return res(400, { error: "from/to must be dates (YYYY-MM-DD or ISO timestamps)" });
+    const statuses = q("status") ? q("status").split(",").map(s => s.trim()).filter(Boolean) : null;
+    const model = q("model"); const mode = q("mode"); const needle = q("q").toLowerCase();
+    const owner = q("owner") === "me" ? auth.user?.id || "" : q("owner");
+    const limit = Math.max(1, Math.min(MAX_LIMIT, Number(q("limit") || 100)));
+
+    const { blobs } = await store.list({ prefix: "index/" });
+    const entries = (await Promise.all(blobs.map(b => store.get(b.key, { type: "json" }).catch(() => null)))).filter(Boolean);
+
+    const jobs = entries.filter((j) => {
+      if (!canAccessJob(auth.user, j)) return false;
+      const created = Date.parse(j.createdAt);
+      if (statuses && !statuses.includes(j.status)) return false;
+      if (model && j.model !== model) return false;
+      if (mode && j.mode !== mode) return false;
+      if (owner && j.owner?.id !== owner) return false;
+      if (needle && !`${j.name || ""} ${j.fileName || ""} ${j.jobId}`.toLowerCase().includes(needle)) return false;
+      if (from != null && !(created >= from)) return false;
+      if (to != null && !(created <= to)) return false;
+      return true;
+    }).sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+    return res(200, { total: jobs.length, jobs: jobs.slice(0, limit) });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
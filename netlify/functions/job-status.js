@@ -0,0 +1,65 @@
+// netlify/functions/job-status.js
+// Status of a whole batch job: every batch recorded under it (original, splits, repairs), combined
+// request counts, errors and one overall state.
+// GET ?id=<jobId | batchId | batch_a,batch_b>  (a comma list is used for imported batches without job meta)
+
+const { resolveJobMeta, jobAccessError, syncJobIndexStatus, retrieveBatches, summarizeBatches, batchEntries } = require("../lib/jobs.cjs");
+const { signedBlobUrl } = require("../lib/downloads.cjs");
+const { openaiForJob } = require("../lib/api-keys.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/job-status" */ };
+
+const CORS = corsHeaders("GET,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  try {
+    const rawUrl = typeof event?.rawUrl === "string" ? event.rawUrl : "";
+    const idParam = (rawUrl ? new URL(rawUrl) : null)?.searchParams.get("id") || event?.queryStringParameters?.id || "";
+    if (!idParam) return res(400, { error: "Missing id" });
+    const ids = idParam.split(",").map(s => s.trim()).filter(Boolean);
+
+    const { getStore } = await import("@netlify/blobs");
+    const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+    const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+    const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+    const denied = (await Promise.all(ids.map((id) => jobAccessError(store, auth.user, id)))).find(Boolean);
+    if (denied) return res(403, { error: denied });
+    const meta = ids.length === 1 ? await resolveJobMeta(store, ids[0]) : null;
+    if (ids.length === 1 && !meta && !ids[0].startsWith("batch_")) return res(404, { error: `Job '${ids[0]}' not found` });
+    if (meta && !meta.batchIds?.length) return res(400, { error: `'${ids[0]}' is a direct job; use direct-status` });
+
+    // Imported batch ids without meta are looked up with OPENAI_API_KEY
+    const client = await openaiForJob(store, meta);
+    const batches = await retrieveBatches(client, meta ? batchEntries(meta) : ids.map((batchId) => ({ batchId })));
+    const { state, request_counts, errors } = summarizeBatches(batches);
+
+    const jobId = meta?.jobId || null;
+    if (jobId && state !== "unknown") await syncJobIndexStatus(store, jobId, state, { batchIds: batches.map((b) => b.batchId), request_counts }).catch(() => {});
+    const costReport = jobId ? await store.get(`reports/${jobId}.json`, { type: "json" }).catch(() => null) : null;
+
+    return res(200, {
+      jobId,
+      state,
+      batchIds: batches.map((b) => b.batchId),
+      batches,
+      request_counts,
+      errors,
+      costReport,
+      autoRepair: meta?.autoRepair ? { ...meta.autoRepair, state: meta.autoRepairState || null } : null,
+      // set by batch-cancel: { requestedAt, batches: [{ batchId, from, status, error }] }
+      cancellation: meta?.cancellation || null,
+      // signed blob-proxy link { url, expiresAt } to the job's input as CSV; results come from batch-reconstruct
+      inputDownload: jobId ? signedBlobUrl(`csv/${jobId}.csv`, { filename: `${jobId}.input.csv` }) : null,
+    });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,65 @@
+// netlify/functions/render-request.js
+// Shows the exact Responses API body a stored job sends for one CSV row.
+// GET ?id=<jobId|batchId>&row=<csv row index>[&col=<target column>]
+
+const { jobCsvRows } = require("../lib/merge.cjs");
+const { inputSpecFromFields, buildItem, isSkipped } = require("../lib/rows.cjs");
+const { buildRequestBody } = require("../lib/job-spec.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { jobAccessError } = require("../lib/jobs.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/render-request" */ };
+
+const CORS = corsHeaders("GET,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  try {
+    const url = event?.rawUrl ? new URL(event.rawUrl) : null;
+    const q = (k) => url?.searchParams.get(k) || event?.queryStringParameters?.[k] || "";
+    const id = q("id");
+    const rowIdx = Number(q("row") || 0);
+    if (!id) return res(400, { error: "Missing id" });
+    if (!Number.isInteger(rowIdx) || rowIdx < 0) return res(400, { error: "row must be a non-negative integer" });
+
+    const { getStore } = await import("@netlify/blobs");
+    const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+    const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+    const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+    const denied = await jobAccessError(store, auth.user, id);
+    if (denied) return res(403, { error: denied });
+    const meta = await store.get(`jobs/${id}.json`, { type: "json" }).catch(() => null);
+    if (!meta) return res(404, { error: "Job metadata not found" });
+
+    const targetCols = meta.targetCols || [];
+    const targetCol = q("col") || targetCols[0] || null;
+    if (targetCol && !targetCols.includes(targetCol)) return res(400, { error: `'${targetCol}' is not a target column of this job` });
+
+    const rows = await jobCsvRows(store, meta.jobId);
+    if (!rows) return res(404, { error: "Original CSV not found" });
+    // Rows are streamed: the one asked for is kept, the rest only counted
+    let row = null; let rowCount = 0;
+    for await (const r of rows) { if (rowCount++ === rowIdx) row = r; }
+    if (!row) return res(404, { error: `Row ${rowIdx} is out of range (CSV has ${rowCount} rows)` });
+
+    const inputSpec = inputSpecFromFields(meta);
+    const item = buildItem(row, rowIdx, inputSpec);
+    if (!item) return res(400, { error: `Row ${rowIdx} has no input, so no request is sent for it` });
+
+    return res(200, {
+      jobId: meta.jobId,
+      row: rowIdx,
+      targetCol,
+      skipped: isSkipped(row, inputSpec),
+      body: buildRequestBody(meta, [item], { targetCol }),
+    });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,40 @@
+// netlify/functions/upload-complete.js
+// Joins the parts of an upload into csv/<uploadId>.csv. Pass the returned uploadId to batch-create (or
+// batch-estimate) in place of the file. Calling it again on a completed upload is a no-op.
+// POST ?id=<uploadId>
+
+const { loadUpload, completeUpload } = require("../lib/uploads.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/upload-complete" */ };
+
+const CORS = corsHeaders("POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  if (event.httpMethod !== "POST") return res(405, { error: "POST only" });
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  const url = typeof event?.rawUrl === "string" && event.rawUrl ? new URL(event.rawUrl) : null;
+  const id = url?.searchParams.get("id") || event?.queryStringParameters?.id || "";
+  if (!id) return res(400, { error: "Missing id" });
+
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  try {
+    const upload = await loadUpload(store, id, auth.user);
+    if (!upload) return res(404, { error: "Upload not found" });
+    if (upload.completedAt) return res(200, { ok: true, uploadId: id, fileName: upload.fileName, size: upload.size });
+    let done;
+    try { done = await completeUpload(store, upload); } catch (e) { return res(409, { error: e.message }); }
+    return res(200, { ok: true, uploadId: id, fileName: done.fileName, size: done.size });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
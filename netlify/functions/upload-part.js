@@ -0,0 +1,44 @@
+// netlify/functions/upload-part.js
+// Stores one part of a resumable upload. The body is the part's raw bytes; sending a part again replaces it.
+// PUT|POST ?id=<uploadId>&part=<n>   (n from 0)
+
+const { loadUpload, partKey, partLength } = require("../lib/uploads.cjs");
+const { authenticate } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/upload-part" */ };
+
+const CORS = corsHeaders("PUT,POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  if (event.httpMethod !== "PUT" && event.httpMethod !== "POST") return res(405, { error: "PUT or POST only" });
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  const url = typeof event?.rawUrl === "string" && event.rawUrl ? new URL(event.rawUrl) : null;
+  const query = url ? Object.fromEntries(url.searchParams.entries()) : (event?.queryStringParameters || {});
+  const id = query.id || ""; const part = Number(query.part);
+  if (!id) return res(400, { error: "Missing id" });
+
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  try {
+    const upload = await loadUpload(store, id, auth.user);
+    if (!upload) return res(404, { error: "Upload not found" });
+    if (upload.completedAt) return res(409, { error: "Upload is already complete" });
+    const expected = partLength(upload, part);
+    if (expected == null) return res(400, { error: `part must be an integer from 0 to ${upload.parts - 1}` });
+
+    const bytes = event.isBase64Encoded ? Buffer.from(event.body || "", "base64") : Buffer.from(event.body || "", "binary");
+    if (bytes.length !== expected) return res(400, { error: `Part ${part} is ${bytes.length} bytes, expected ${expected}` });
+    await store.set(partKey(id, part), bytes);
+    return res(200, { ok: true, uploadId: id, part, bytes: bytes.length });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,52 @@
+// netlify/functions/upload-start.js
+// Starts a resumable CSV upload, or reports which parts of an unfinished one are already stored.
+// POST { fileName, size }            -> { uploadId, partSize, parts, received: [] }
+// POST { uploadId }                  -> same, with the part numbers received so far (or completed: true)
+
+const { UPLOAD_PART_BYTES, MAX_UPLOAD_BYTES, loadUpload, saveUpload, receivedParts } = require("../lib/uploads.cjs");
+const { authenticate, ownerOf } = require("../lib/auth.cjs");
+const { corsHeaders, responder } = require("../lib/http.cjs");
+
+exports.config = { /* path: "/api/upload-start" */ };
+
+const CORS = corsHeaders("POST,OPTIONS,HEAD");
+const res = responder(CORS);
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === "OPTIONS" || event.httpMethod === "HEAD") return { statusCode: 204, headers: CORS, body: "" };
+  if (event.httpMethod !== "POST") return res(405, { error: "POST only" });
+  const auth = authenticate(event, context);
+  if (auth.error) return res(auth.status, { error: auth.error });
+
+  let body;
+  try { body = JSON.parse(event.isBase64Encoded ? Buffer.from(event.body || "", "base64").toString("utf8") : event.body || "{}"); } catch { return res(400, { error: "Body must be JSON" }); }
+
+  const { getStore } = await import("@netlify/blobs");
+  const siteID = process.env.NETLIFY_SITE_ID || process.env.SITE_ID;
+  const token  = process.env.NETLIFY_BLOBS_TOKEN || process.env.NETLIFY_AUTH_TOKEN;
+  const store  = (siteID && token) ? getStore({ name: "openai-batch-csv", siteID, token }) : getStore("openai-batch-csv");
+
+  try {
+    if (body.uploadId) {
+      const upload = await loadUpload(store, String(body.uploadId), auth.user);
+      if (!upload) return res(404, { error: "Upload not found" });
+      const { uploadId, partSize, parts, size } = upload;
+      if (upload.completedAt) return res(200, { uploadId, partSize, parts, size, completed: true, received: [] });
+      return res(200, { uploadId, partSize, parts, size, completed: false, received: await receivedParts(store, uploadId) });
+    }
+
+    const size = Number(body.size);
+    if (!Number.isInteger(size) || size <= 0) return res(400, { error: "size must be the file size in bytes" });
+    if (size > MAX_UPLOAD_BYTES) return res(413, { error: `File is larger than the ${Math.round(MAX_UPLOAD_BYTES / 1024 / 1024)} MB upload limit` });
+
+    const upload = {
+      uploadId: crypto.randomUUID(), fileName: String(body.fileName || "upload.csv").slice(0, 255), size,
+      partSize: UPLOAD_PART_BYTES, parts: Math.ceil(size / UPLOAD_PART_BYTES), owner: ownerOf(auth.user), createdAt: new Date().toISOString(), completedAt: null,
+    };
+    await saveUpload(store, upload);
+    const { uploadId, partSize, parts } = upload;
+    return res(200, { uploadId, partSize, parts, size, completed: false, received: [] });
+  } catch (e) {
+    return res(500, { error: e?.message || String(e) });
+  }
+};
@@ -0,0 +1,112 @@
+// netlify/lib/api-keys.cjs
+// Bring-your-own OpenAI keys. A user or a project may store its own key; it is encrypted with AES-256-GCM under a
+// key derived from KEY_ENCRYPTION_SECRET (required to store keys) and kept at keys/user/<id>.json or
+// keys/project/<name>.json. Only the last 4 characters are ever returned.
+// With sign-in on, a project's key is only stored, removed or spent by the project's members, listed in
+// PROJECT_MEMBERS as JSON: {"<project>": ["<user id>", ...]}. Members must be verified sign-ins (see lib/auth.cjs).
+// A job records which key it was submitted with (meta.apiKeyRef: { scope: "project"|"user"|"env", id }) and every
+// later call for it (worker, poller, repair, downloads) uses that key. OPENAI_API_KEY is the fallback.
+
+const crypto = require("node:crypto");
+const { authConfigured, cleanUserId } = require("./auth.cjs");
+
+const keyPath = (scope, id) => `keys/${scope}/${encodeURIComponent(id)}.json`;
+
+function encryptionKey() {
+  const secret = process.env.KEY_ENCRYPTION_SECRET;
+  if (!secret) throw new Error("Set KEY_ENCRYPTION_SECRET to store API keys");
+  return crypto.createHash("sha256").update(`api-keys:${secret}`).digest();
+}
+
+function encrypt(text) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+function decrypt({ iv, tag, data }) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(data, "base64")), decipher.final()]).toString("utf8");
+}
+
+async function loadKeyRecord(store, scope, id) {
+  if (!id) return null;
+  return (await store.get(keyPath(scope, id), { type: "json" }).catch(() => null)) || null;
+}
+
+// Throws with a user-facing message when the key can't be stored.
+async function saveApiKey(store, scope, id, apiKey, updatedBy = null) {
+  const key = String(apiKey || "").trim();
+  if (!/^sk-[A-Za-z0-9_-]{8,}$/.test(key)) throw new Error("apiKey does not look like an OpenAI API key");
+  const record = { ...encrypt(key), last4: key.slice(-4), updatedAt: new Date().toISOString(), updatedBy };
+  await store.set(keyPath(scope, id), JSON.stringify(record));
+  return apiKeyInfo(record);
+}
+
+async function deleteApiKey(store, scope, id) {
+  await store.delete(keyPath(scope, id)).catch(() => {});
+}
+
+// What is safe to show about a stored key.
+function apiKeyInfo(record) {
+  return record ? { last4: record.last4, updatedAt: record.updatedAt, updatedBy: record.updatedBy || null } : null;
+}
+
+// Only verified sign-ins (Netlify Identity or a personal token) have user keys: a team-secret user id is just
+// the X-User header, so anyone could claim it.
+function userKeyId(user) {
+  return user?.verified ? user.id : null;
+}
+
+function projectMembers(env = process.env) {
+  try { return JSON.parse(env.PROJECT_MEMBERS || "{}") || {}; } catch { throw new Error("PROJECT_MEMBERS is not valid JSON"); }
+}
+
+// null when `user` may use the project's key, else the error for a 403.
+function projectAccessError(user, project, env = process.env) {
+  if (!authConfigured()) return null;
+  const members = projectMembers(env)[project];
+  if (!Array.isArray(members)) return `Project "${project}" has no members configured (PROJECT_MEMBERS)`;
+  if (!user?.verified || !members.map(cleanUserId).includes(user.id)) return `You are not a member of project "${project}"`;
+  return null;
+}
+
+// The key a new job should use: the project's, else the submitter's, else OPENAI_API_KEY.
+// -> { ref } or { status: 400|403, error } (a named project without a key or that `user` is not a member of,
+// or no key at all).
+async function resolveKeyRef(store, { user = null, project = "" } = {}) {
+  if (project) {
+    const denied = projectAccessError(user, project);
+    if (denied) return { status: 403, error: denied };
+    if (await loadKeyRecord(store, "project", project)) return { ref: { scope: "project", id: project } };
+    return { status: 400, error: `Project "${project}" has no API key stored` };
+  }
+  const userId = userKeyId(user);
+  if (userId && (await loadKeyRecord(store, "user", userId))) return { ref: { scope: "user", id: userId } };
+  if (process.env.OPENAI_API_KEY) return { ref: { scope: "env", id: null } };
+  return { status: 400, error: "No OpenAI API key: store one for your user or project, or set OPENAI_API_KEY" };
+}
+
+async function apiKeyForRef(store, ref) {
+  if (!ref || ref.scope === "env") return process.env.OPENAI_API_KEY;
+  const record = await loadKeyRecord(store, ref.scope, ref.id);
+  if (!record) throw new Error(`The ${ref.scope} API key this job was submitted with ("${ref.id}") has been removed`);
+  return decrypt(record);
+}
+
+// Per-batch meta (jobs/<batchId>.json) points at its job through `jobId`; the key ref lives on the job.
+async function apiKeyForJob(store, meta) {
+  let ref = meta?.apiKeyRef;
+  if (!ref && meta?.jobId) ref = (await store.get(`jobs/${meta.jobId}.json`, { type: "json" }).catch(() => null))?.apiKeyRef;
+  return apiKeyForRef(store, ref);
+}
+
+// An OpenAI client with the job's key; `opts` are passed to the constructor.
+async function openaiForJob(store, meta, opts = {}) {
+  const { default: OpenAI } = await import("openai");
+  return new OpenAI({ ...opts, apiKey: await apiKeyForJob(store, meta) });
+}
+
+module.exports = { saveApiKey, deleteApiKey, loadKeyRecord, apiKeyInfo, userKeyId, projectAccessError, resolveKeyRef, apiKeyForRef, apiKeyForJob, openaiForJob };
@@ -0,0 +1,99 @@
+// netlify/lib/auth.cjs
+// Who is calling. Every HTTP handler checks the Authorization header through authenticate():
+// - Netlify Identity: with AUTH_IDENTITY=1, a user JWT (`Bearer <jwt>`) that Netlify has verified into
+//   context.clientContext.user. The user id is the JWT subject.
+// - Personal tokens: AUTH_USER_TOKENS="<user>=<token>,<user>=<token>", `Bearer <token>`. The user id is the name
+//   the token is listed under.
+// - Team secret: with AUTH_SHARED_SECRET set, `Bearer <secret>`. Everyone holding it is one team. The optional
+//   X-User header names the person and is recorded as the job owner, but anyone can send any name, so it is a
+//   label only: secret sign-ins are not `verified`, cannot store user API keys and share the team's jobs.
+// A job submitted with a verified sign-in is only seen and changed by that user (canAccessJob).
+// With none configured the API stays open and callers are anonymous.
+// The direct worker is invoked by other functions, not users: its calls carry X-Worker-Signature instead,
+// and direct-events (an EventSource, which can't send headers) takes a signed link from direct-status.
+
+const crypto = require("node:crypto");
+const { signValue, isValidSignature } = require("./downloads.cjs");
+
+const EVENTS_LINK_TTL_S = 60 * 60;
+
+function authConfigured() {
+  return Boolean(process.env.AUTH_SHARED_SECRET) || Boolean(process.env.AUTH_USER_TOKENS) || process.env.AUTH_IDENTITY === "1";
+}
+
+function headerOf(event, name) {
+  const h = event?.headers || {};
+  return h[name] ?? h[name.toLowerCase()] ?? Object.entries(h).find(([k]) => k.toLowerCase() === name.toLowerCase())?.[1];
+}
+
+// A user id safe to use in blob keys: letters, digits and . _ @ -
+function cleanUserId(value) {
+  return String(value || "").trim().toLowerCase().replace(/[^a-z0-9._@-]+/g, "-").slice(0, 100);
+}
+
+function sameSecret(a, b) {
+  return crypto.timingSafeEqual(crypto.createHash("sha256").update(a).digest(), crypto.createHash("sha256").update(b).digest());
+}
+
+// [{ id, token }] from AUTH_USER_TOKENS.
+function userTokens(env = process.env) {
+  return String(env.AUTH_USER_TOKENS || "").split(",").map((pair) => {
+    const at = pair.indexOf("=");
+    return at > 0 ? { id: cleanUserId(pair.slice(0, at)), token: pair.slice(at + 1).trim() } : null;
+  }).filter((t) => t?.id && t.token);
+}
+
+// { user: { id, email, via, verified } } (user null when auth is off), or { status: 401, error }.
+// `verified` is false for team-secret sign-ins, whose id comes from the unchecked X-User header.
+function authenticate(event, context) {
+  if (!authConfigured()) return { user: null };
+  if (process.env.AUTH_IDENTITY === "1") {
+    const u = context?.clientContext?.user;
+    if (u?.sub) return { user: { id: cleanUserId(u.sub), email: u.email || null, via: "identity", verified: true } };
+  }
+  const bearer = /^Bearer\s+(.+)$/i.exec(String(headerOf(event, "authorization") || ""))?.[1]?.trim() || "";
+  if (bearer) {
+    // Every token is compared, so the time taken does not tell which one matched
+    const match = userTokens().reduce((found, t) => (sameSecret(bearer, t.token) && !found ? t : found), null);
+    if (match) return { user: { id: match.id, email: match.id.includes("@") ? match.id : null, via: "token", verified: true } };
+    const secret = process.env.AUTH_SHARED_SECRET;
+    if (secret && sameSecret(bearer, secret)) {
+      const name = String(headerOf(event, "x-user") || "").trim();
+      return { user: { id: cleanUserId(name) || "team", email: name.includes("@") ? name : null, via: "secret", verified: false } };
+    }
+  }
+  return { status: 401, error: "Sign in required: send Authorization: Bearer <your token, the team secret or a Netlify Identity token>" };
+}
+
+// Recorded in job meta and the index as `owner`.
+function ownerOf(user) {
+  return user ? { id: user.id, email: user.email || null, verified: Boolean(user.verified) } : null;
+}
+
+// Whether `user` may see and change a job, from its meta or index entry. Jobs without an owner (auth was off)
+// and team-secret jobs are shared by everyone signed in.
+function canAccessJob(user, job) {
+  const owner = job?.owner;
+  if (!authConfigured() || !owner?.verified) return true;
+  return Boolean(user?.verified) && user.id === owner.id;
+}
+
+// Direct worker invocations: signed by invokeWorker, checked by the worker whenever auth is on.
+function workerSignature(body) { return signValue(`worker\n${body}`); }
+function isWorkerCall(event, rawBody) {
+  return !authConfigured() || isValidSignature(`worker\n${rawBody}`, headerOf(event, "x-worker-signature"));
+}
+
+// Signed direct-events link for a job, and its check (passes when auth is off).
+function signedEventsUrl(jobId, { ttlSeconds = EVENTS_LINK_TTL_S, now = Date.now() } = {}) {
+  const expires = Math.floor(now / 1000) + ttlSeconds;
+  const q = new URLSearchParams({ id: jobId, expires: String(expires), sig: signValue(`events\n${jobId}\n${expires}`) });
+  return `/.netlify/functions/direct-events?${q}`;
+}
+function isValidEventsLink(params, now = Date.now()) {
+  if (!authConfigured()) return true;
+  const expires = params.get("expires") || "";
+  return Number(expires) * 1000 >= now && isValidSignature(`events\n${params.get("id") || ""}\n${expires}`, params.get("sig"));
+}
+
+module.exports = { authConfigured, authenticate, ownerOf, canAccessJob, cleanUserId, workerSignature, isWorkerCall, signedEventsUrl, isValidEventsLink };
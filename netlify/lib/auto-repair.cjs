@@ -0,0 +1,69 @@
+// netlify/lib/auto-repair.cjs
+// One step of the opt-in auto-repair loop for a batch job: once every batch of the job has finished,
+// analyze (merge) all of them and, while rows are missing and the policy allows, submit the next repair round.
+// State lives on the job meta as `autoRepairState`; a stopped loop never restarts by itself.
+
+const { jobCsvRows, mergeBatches } = require("./merge.cjs");
+const { buildCostReport } = require("./usage.cjs");
+const { estimateJob } = require("./estimate.cjs");
+const { roundUsd } = require("./pricing.cjs");
+const { ACTIVE_BATCH_STATES, writeJobIndex } = require("./jobs.cjs");
+const { repairItemsFor, submitRepair, modelForRound } = require("./repair.cjs");
+
+async function saveState(store, jobId, state) {
+  const meta = await store.get(`jobs/${jobId}.json`, { type: "json" }).catch(() => null);
+  if (!meta) return;
+  await store.set(`jobs/${jobId}.json`, JSON.stringify({ ...meta, autoRepairState: state }), { contentType: "application/json" });
+  await writeJobIndex(store, jobId, { autoRepairRounds: state.rounds, autoRepairStopped: state.stopped || null });
+}
+
+// Ends the loop for good (e.g. the job was cancelled); no-op when it is off or already stopped.
+async function stopAutoRepair(store, jobMeta, reason) {
+  if (!jobMeta.autoRepair || jobMeta.autoRepairState?.stopped) return;
+  await saveState(store, jobMeta.jobId, { rounds: 0, ...(jobMeta.autoRepairState || {}), stopped: reason });
+}
+
+// Returns what happened: { waiting } | { skipped } | { stopped, missingCount } | { repaired, round, missingCount }.
+async function autoRepairStep({ client, toFile, store, jobMeta }) {
+  const policy = jobMeta.autoRepair;
+  if (!policy) return { skipped: "auto-repair not enabled" };
+  const state = { rounds: 0, stopped: null, ...(jobMeta.autoRepairState || {}) };
+  if (state.stopped) return { skipped: `stopped: ${state.stopped}` };
+
+  const statuses = await Promise.all(jobMeta.batchIds.map((id) => client.batches.retrieve(id).then((b) => b.status).catch(() => "unknown")));
+  if (statuses.some((s) => ACTIVE_BATCH_STATES.includes(s) || s === "unknown")) return { waiting: true };
+
+  // Only analyze again once a new round has finished
+  const signature = jobMeta.batchIds.join(",");
+  if (state.analyzedBatchIds === signature) return { skipped: "no new batches since last analysis" };
+
+  const rows = await jobCsvRows(store, jobMeta.jobId);
+  if (!rows) { await saveState(store, jobMeta.jobId, { ...state, stopped: "csv_missing" }); return { stopped: "csv_missing" }; }
+  const merged = await mergeBatches({ client, store, meta: jobMeta, batchIds: jobMeta.batchIds, rows });
+
+  const costReport = { ...buildCostReport(jobMeta.jobId, merged.usageSources), batchIds: jobMeta.batchIds };
+  await store.set(`reports/${jobMeta.jobId}.json`, JSON.stringify(costReport), { contentType: "application/json" }).catch(() => {});
+  const extraCostUsd = roundUsd(costReport.sources.filter((s) => s.isRepair).reduce((sum, s) => sum + (s.costUsd || 0), 0));
+
+  const next = { ...state, analyzedBatchIds: signature, missingCount: merged.missingIds.length, extraCostUsd, lastRunAt: new Date().toISOString() };
+  const stop = async (reason) => { await saveState(store, jobMeta.jobId, { ...next, stopped: reason }); return { stopped: reason, missingCount: next.missingCount }; };
+
+  if (merged.missingIds.length === 0) return stop("complete");
+  if (state.rounds >= policy.maxRounds) return stop("max_rounds");
+
+  const round = state.rounds + 1;
+  const model = modelForRound(jobMeta, round);
+  // The merge above consumed the rows; the missing ones are read again
+  const items = await repairItemsFor(jobMeta, (await jobCsvRows(store, jobMeta.jobId)) || [], merged.missingIds);
+  if (policy.maxCostUsd != null) {
+    const estimate = estimateJob({ ...jobMeta, model }, items);
+    if (estimate.cost.batch == null || extraCostUsd + estimate.cost.batch > policy.maxCostUsd) return stop("budget");
+  }
+
+  const out = await submitRepair({ client, toFile, store, meta: jobMeta, items, model, label: `${jobMeta.jobId}.auto${round}` });
+  if (out.error) return stop(`error: ${out.error}`);
+  await saveState(store, jobMeta.jobId, { ...next, rounds: round });
+  return { repaired: true, round, model, missingCount: next.missingCount, newBatchIds: out.newBatches.map((b) => b.batchId) };
+}
+
+module.exports = { autoRepairStep, stopAutoRepair };
@@ -0,0 +1,64 @@
+// netlify/lib/batch-split.cjs
+// Splits a job's JSONL request lines into as many Batch API input files as the per-batch limits require.
+// Limits: BATCH_MAX_REQUESTS (default 50,000), BATCH_MAX_BYTES (default 190 MB, under the 200 MB file cap)
+// and the enqueued-token limit of the model: BATCH_MAX_ENQUEUED_TOKENS, else ENQUEUED_TOKEN_LIMITS below.
+// Enqueued tokens are counted with the estimate's tokenizer, plus each request's output budget if one is set.
+
+const { MESSAGE_OVERHEAD_TOKENS, countTokens } = require("./estimate.cjs");
+
+const DEFAULT_MAX_REQUESTS = 50000;
+const DEFAULT_MAX_BYTES = 190 * 1024 * 1024;
+// Batch queue limits (enqueued input tokens) at usage tier 1, the lowest an API key with batch access has.
+// First matching prefix wins. Higher tiers get more; set BATCH_MAX_ENQUEUED_TOKENS to your org's limit.
+const ENQUEUED_TOKEN_LIMITS = [
+  { prefix: "gpt-5.4-nano", tokens: 2000000 },
+  { prefix: "gpt-5.4-mini", tokens: 5000000 },
+  { prefix: "gpt-5.4", tokens: 1500000 },
+  { prefix: "gpt-5-nano", tokens: 2000000 },
+  { prefix: "gpt-5-mini", tokens: 5000000 },
+  { prefix: "gpt-5", tokens: 1500000 },
+  { prefix: "gpt-4.1-nano", tokens: 2000000 },
+  { prefix: "gpt-4.1-mini", tokens: 2000000 },
+  { prefix: "gpt-4.1", tokens: 900000 },
+];
+const DEFAULT_ENQUEUED_TOKENS = 900000;
+
+function enqueuedTokenLimit(model) {
+  return ENQUEUED_TOKEN_LIMITS.find((l) => String(model || "").startsWith(l.prefix))?.tokens || DEFAULT_ENQUEUED_TOKENS;
+}
+
+function batchLimits(env = process.env, model = null) {
+  return {
+    maxRequests: Number(env.BATCH_MAX_REQUESTS || DEFAULT_MAX_REQUESTS),
+    maxBytes: Number(env.BATCH_MAX_BYTES || DEFAULT_MAX_BYTES),
+    maxTokens: Number(env.BATCH_MAX_ENQUEUED_TOKENS || 0) || enqueuedTokenLimit(model),
+  };
+}
+
+// Enqueued tokens of one request body: its messages and output schema, plus the output budget if one is set.
+function approxEnqueuedTokens(body) {
+  const messages = (body?.input || []).reduce((sum, m) => sum + countTokens(m.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+  const schema = body?.text?.format ? countTokens(JSON.stringify(body.text.format)) : 0;
+  return messages + schema + Number(body?.max_output_tokens || 0);
+}
+
+// lines: [{ line, body, ... }] where `line` is the serialised JSONL line. Limits default to those of the requests' model.
+// Returns [{ lines: [string], items, requests, bytes, tokens }] in the original order; `items` are the inputs of that group.
+function splitBatchLines(lines, limits = batchLimits(process.env, lines[0]?.body?.model)) {
+  const groups = []; let cur = null;
+  for (const item of lines) {
+    const { line, body } = item;
+    const bytes = Buffer.byteLength(line, "utf8") + 1;
+    const tokens = approxEnqueuedTokens(body);
+    if (bytes > limits.maxBytes) throw new Error(`A single request is ${bytes} bytes, over the ${limits.maxBytes}-byte batch file limit. Lower Rows/Request.`);
+    if (tokens > limits.maxTokens) throw new Error(`A single request needs ~${tokens} enqueued tokens, over the ${limits.maxTokens}-token batch queue limit (BATCH_MAX_ENQUEUED_TOKENS). Lower Rows/Request.`);
+    if (!cur || cur.requests + 1 > limits.maxRequests || cur.bytes + bytes > limits.maxBytes || cur.tokens + tokens > limits.maxTokens) {
+      cur = { lines: [], items: [], requests: 0, bytes: 0, tokens: 0 };
+      groups.push(cur);
+    }
+    cur.lines.push(line); cur.items.push(item); cur.requests++; cur.bytes += bytes; cur.tokens += tokens;
+  }
+  return groups;
+}
+
+module.exports = { ENQUEUED_TOKEN_LIMITS, enqueuedTokenLimit, batchLimits, approxEnqueuedTokens, splitBatchLines };
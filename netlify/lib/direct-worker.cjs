@@ -0,0 +1,77 @@
+// netlify/lib/direct-worker.cjs
+// Invoking the direct-mode background worker, its per-job lock (jobs/<jobId>.lock.json), and merging
+// its stored partials into the result CSV.
+// A running worker rewrites the lock every LOCK_HEARTBEAT_MS, so a lock older than LOCK_TTL_MS means
+// the worker died (timeout or crash) and the job can be resumed.
+
+const fs = require("node:fs");
+const { jobCsvRows, createMerger } = require("./merge.cjs");
+const { loadManifest } = require("./manifest.cjs");
+const { storeDownloadFile } = require("./downloads.cjs");
+const { STORED_RESULT_OUTPUT, outputSink } = require("./output-format.cjs");
+const { workerSignature } = require("./auth.cjs");
+
+const LOCK_TTL_MS = 5 * 60 * 1000;
+const LOCK_HEARTBEAT_MS = 60 * 1000;
+
+const lockKey = (jobId) => `jobs/${jobId}.lock.json`;
+
+async function isLockLive(store, jobId, now = Date.now()) {
+  const lock = await store.get(lockKey(jobId), { type: "json" }).catch(() => null);
+  return Boolean(lock?.ts && now - new Date(lock.ts).getTime() < LOCK_TTL_MS);
+}
+
+// Site origin for calling functions from a function: the request's host, else Netlify's URL.
+function originFromEvent(event) {
+  const hdrs = event?.headers || {};
+  const host = hdrs["x-forwarded-host"] || hdrs["host"];
+  return host ? `${hdrs["x-forwarded-proto"] || "http"}://${host}` : (process.env.URL || "http://localhost:8888");
+}
+
+// body: { jobId, origin, retryFailed?, autoResume? }. Throws when the invocation is not accepted.
+// Signed so the worker can tell it apart from outside calls when auth is on.
+async function invokeWorker(origin, body) {
+  const payload = JSON.stringify({ ...body, origin });
+  const wr = await fetch(`${origin}/.netlify/functions/direct-worker-background`, { method: "POST", headers: { "Content-Type": "application/json", "X-Worker-Signature": workerSignature(payload) }, body: payload });
+  if (!wr.ok) throw new Error(`worker HTTP ${wr.status}`);
+}
+
+// Finished chunks of a job: Map of chunk key (an index, or "3.0"-style for halves of a split chunk) -> stored partial.
+async function loadPartials(store, jobId) {
+  const prefix = `partials/${jobId}/`;
+  const { blobs } = await store.list({ prefix });
+  const parts = new Map();
+  for (const { key } of blobs) {
+    const part = await store.get(key, { type: "json" }).catch(() => null);
+    if (part) parts.set(key.slice(prefix.length).replace(/\.json$/, ""), part);
+  }
+  return parts;
+}
+
+// The original rows, streamed from the stored CSV, with every stored partial merged in; chunks without a partial
+// stay empty. The worker passes the manifest and partials it already holds, anything missing is loaded. `sink`
+// and `withProvenance` are passed to finish(). Null when the uploaded CSV is gone.
+async function mergeDirectResult(store, jobId, meta, { manifest, parts, sink, withProvenance } = {}) {
+  const rows = await jobCsvRows(store, jobId);
+  if (!rows) return null;
+  const merger = createMerger(meta);
+  manifest = manifest || await loadManifest(store, jobId);
+  if (manifest) merger.addManifest(manifest);
+  for (const [chunk, part] of parts || await loadPartials(store, jobId)) merger.addPart(part, { chunk });
+  return merger.finish(rows, { sink, withProvenance });
+}
+
+// Stores results/<jobId>.csv with values as merged (see STORED_RESULT_OUTPUT); false when there was nothing to
+// merge into.
+async function writeResultCsv(store, jobId, meta, held) {
+  const sink = outputSink(STORED_RESULT_OUTPUT, jobId);
+  try {
+    if (!(await mergeDirectResult(store, jobId, meta, { ...held, sink }))) return false;
+    await storeDownloadFile(store, `results/${jobId}.csv`, sink.output().path);
+    return true;
+  } finally {
+    await fs.promises.rm(sink.output().path, { force: true });
+  }
+}
+
+module.exports = { LOCK_TTL_MS, LOCK_HEARTBEAT_MS, lockKey, isLockLive, originFromEvent, invokeWorker, loadPartials, mergeDirectResult, writeResultCsv };
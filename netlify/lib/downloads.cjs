@@ -0,0 +1,112 @@
+// netlify/lib/downloads.cjs
+// Signed, expiring links to blobs served by blob-proxy, and storing downloads so they can be served that way.
+//
+// A link is /.netlify/functions/blob-proxy?key=...&filename=...&expires=<unix s>&sig=<HMAC-SHA256>, signed with
+// DOWNLOAD_SIGNING_SECRET. When that is unset, a key derived from KEY_ENCRYPTION_SECRET or AUTH_SHARED_SECRET is
+// used; never the OpenAI key, which is shared with the provider and rotated on its own schedule. Without any of
+// them no link can be issued. blob-proxy serves nothing without a valid, unexpired signature. Links last
+// DOWNLOAD_LINK_TTL_SECONDS (default 1 hour). signValue() also signs worker invocations and event-stream links.
+// Stored downloads carry { contentType, size } as blob metadata; the proxy uses them for headers and ranges.
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+
+const DOWNLOAD_LINK_TTL_S = Number(process.env.DOWNLOAD_LINK_TTL_SECONDS || 3600);
+// Larger rendered outputs are stored and redirected to, staying under the function response limit (~6 MB)
+const INLINE_DOWNLOAD_MAX_BYTES = Number(process.env.INLINE_DOWNLOAD_MAX_BYTES || 4 * 1024 * 1024);
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  jsonl: "application/x-ndjson; charset=utf-8",
+  json: "application/json; charset=utf-8",
+};
+
+// For blobs stored without metadata
+function contentTypeFor(key) {
+  const ext = /\.([a-z0-9]+)$/i.exec(key)?.[1]?.toLowerCase();
+  return CONTENT_TYPES[ext] || "application/octet-stream";
+}
+
+function signingSecret() {
+  if (process.env.DOWNLOAD_SIGNING_SECRET) return process.env.DOWNLOAD_SIGNING_SECRET;
+  const base = process.env.KEY_ENCRYPTION_SECRET || process.env.AUTH_SHARED_SECRET;
+  if (base) return crypto.createHash("sha256").update(`blob-proxy:${base}`).digest("hex");
+  throw new Error("Set DOWNLOAD_SIGNING_SECRET to issue download links and start direct jobs");
+}
+
+function signValue(text) {
+  return crypto.createHmac("sha256", signingSecret()).update(text).digest("base64url");
+}
+
+// Constant-time check of a signValue() result.
+function isValidSignature(text, sig) {
+  const expected = Buffer.from(signValue(text));
+  const given = Buffer.from(String(sig || ""));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+const linkPayload = (key, expires, filename) => `${key}\n${expires}\n${filename}`;
+
+// { url, expiresAt } for downloading `key` as `filename`.
+function signedBlobUrl(key, { filename = key.split("/").pop(), ttlSeconds = DOWNLOAD_LINK_TTL_S, now = Date.now() } = {}) {
+  const expires = Math.floor(now / 1000) + ttlSeconds;
+  const q = new URLSearchParams({ key, filename, expires: String(expires), sig: signValue(linkPayload(key, expires, filename)) });
+  return { url: `/.netlify/functions/blob-proxy?${q}`, expiresAt: new Date(expires * 1000).toISOString() };
+}
+
+// { key, filename } of a valid link's query, else { status, error }.
+function verifySignedParams(params, now = Date.now()) {
+  const key = params.get("key") || ""; const filename = params.get("filename") || ""; const expires = params.get("expires") || ""; const sig = params.get("sig") || "";
+  if (!key || !expires || !sig) return { status: 403, error: "Download links must be signed; request a new one from the job" };
+  if (!isValidSignature(linkPayload(key, expires, filename), sig)) return { status: 403, error: "Invalid download link signature" };
+  if (Number(expires) * 1000 < now) return { status: 410, error: "Download link expired; request a new one from the job" };
+  return { key, filename };
+}
+
+// Stores bytes with their content type and size; returns the size.
+async function storeDownload(store, key, body, contentType = contentTypeFor(key)) {
+  const buf = Buffer.isBuffer(body) ? body : Buffer.from(body, "utf8");
+  await store.set(key, buf, { metadata: { contentType, size: buf.length } });
+  return buf.length;
+}
+
+// Stores a file as a file-backed Blob, so it is never read into memory; returns its size.
+async function storeDownloadFile(store, key, filePath, contentType = contentTypeFor(key)) {
+  const { size } = await fs.promises.stat(filePath);
+  await store.set(key, await fs.openAsBlob(filePath), { metadata: { contentType, size } });
+  return size;
+}
+
+// Where a rendered download is stored: one blob per job and set of query options.
+function downloadKey(jobId, params, fileName) {
+  const options = [...params.entries()].filter(([k]) => k !== "id" && k !== "link").sort().map(([k, v]) => `${k}=${v}`).join("&");
+  return `downloads/${jobId}/${crypto.createHash("sha256").update(options).digest("hex").slice(0, 12)}/${fileName}`;
+}
+
+// A stored blob as a function response: a 302 to its signed link, or with `asLink` the link as JSON.
+function linkResponse(key, fileName, { cors = {}, extraHeaders = {}, asLink = false, size = null } = {}) {
+  const link = signedBlobUrl(key, { filename: fileName });
+  if (asLink) return { statusCode: 200, headers: { ...cors, "Content-Type": "application/json" }, body: JSON.stringify({ ...link, size, fileName }) };
+  return { statusCode: 302, headers: { ...extraHeaders, ...cors, Location: link.url }, body: "" };
+}
+
+// A rendered output (see outputSink) as a function response: inline when small, otherwise stored under `key`
+// and answered through linkResponse. With `asLink` it is always stored. The output's temp file is removed.
+async function outputResponse(store, key, output, { cors = {}, extraHeaders = {}, asLink = false } = {}) {
+  try {
+    const { size } = await fs.promises.stat(output.path);
+    if (asLink || size > INLINE_DOWNLOAD_MAX_BYTES) {
+      await storeDownloadFile(store, key, output.path, output.headers["Content-Type"]);
+      return linkResponse(key, output.fileName, { cors, extraHeaders, asLink, size });
+    }
+    const buf = await fs.promises.readFile(output.path);
+    // Text formats carry a charset; anything else (xlsx) is sent base64-encoded
+    const isBase64Encoded = !/charset=/.test(output.headers["Content-Type"]);
+    return { statusCode: 200, headers: { ...output.headers, ...extraHeaders, ...cors }, body: buf.toString(isBase64Encoded ? "base64" : "utf8"), isBase64Encoded };
+  } finally {
+    await fs.promises.rm(output.path, { force: true });
+  }
+}
+
+module.exports = { DOWNLOAD_LINK_TTL_S, INLINE_DOWNLOAD_MAX_BYTES, contentTypeFor, signValue, isValidSignature, signedBlobUrl, verifySignedParams, storeDownload, storeDownloadFile, downloadKey, linkResponse, outputResponse };
@@ -0,0 +1,83 @@
+// netlify/lib/estimate.cjs
+// Pre-flight token and cost projection. Input tokens are counted with the o200k_base tokenizer on the exact
+// request bodies the job would send; output and reasoning tokens are projections.
+
+const { getEncoding } = require("js-tiktoken");
+const { buildRequestBody, planChunks } = require("./job-spec.cjs");
+const { requestColumns } = require("./output-schema.cjs");
+const { capsFor } = require("./model-params.cjs");
+const { costOf, priceFor, roundUsd } = require("./pricing.cjs");
+
+// Prompt caching kicks in at 1,024 identical prefix tokens and then grows in 128-token steps.
+const PROMPT_CACHE_MIN_TOKENS = 1024;
+const PROMPT_CACHE_INCREMENT = 128;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const NON_TEXT_VALUE_TOKENS = 2;
+// Reasoning tokens per visible output token, by effort. Rough, but it keeps reasoning models from looking free.
+const REASONING_FACTOR = { none: 0, minimal: 0.1, low: 0.5, medium: 1, high: 2, xhigh: 3 };
+
+let encoder = null;
+function countTokens(text) {
+  if (!encoder) encoder = getEncoding("o200k_base");
+  return encoder.encode(String(text ?? "")).length;
+}
+
+function cacheableTokens(prefixTokens) {
+  return prefixTokens < PROMPT_CACHE_MIN_TOKENS ? 0 : Math.floor(prefixTokens / PROMPT_CACHE_INCREMENT) * PROMPT_CACHE_INCREMENT;
+}
+
+function itemInputTokens(item) { return countTokens(item.fields ? JSON.stringify(item.fields) : item.text); }
+
+// outputRatio: expected output tokens per input token for free-text columns (1 suits translation).
+function estimateJob(spec, items, { outputRatio = 1 } = {}) {
+  const seenPrefixes = new Set();
+  const chunkInputTokens = [];
+  let inputTokens = 0; let cachedInputTokens = 0; let outputTokens = 0;
+
+  for (const chunk of planChunks(items, spec)) {
+    const body = buildRequestBody(spec, chunk.rows, { targetCol: chunk.targetCol });
+    // Schema, system prompt and the fixed user message are identical across chunks of the same target column.
+    const prefixTokens = countTokens(JSON.stringify(body.text.format)) + countTokens(body.input[0].content) + countTokens(body.input[1].content) + 2 * MESSAGE_OVERHEAD_TOKENS;
+    const chunkTokens = prefixTokens + countTokens(body.input[2].content) + MESSAGE_OVERHEAD_TOKENS;
+    const prefixKey = chunk.targetCol ?? "";
+    if (seenPrefixes.has(prefixKey)) cachedInputTokens += cacheableTokens(prefixTokens);
+    seenPrefixes.add(prefixKey);
+    chunkInputTokens.push(chunkTokens);
+    inputTokens += chunkTokens;
+
+    const cols = requestColumns(spec, chunk.targetCol);
+    const skeleton = cols ? { id: 0, cols: Object.fromEntries(cols.map((c) => [c.name, ""])) } : { id: 0, result: "" };
+    const perItemOverhead = countTokens(JSON.stringify(skeleton)) + 1;
+    for (const item of chunk.rows) {
+      const textTokens = Math.ceil(itemInputTokens(item) * outputRatio);
+      const values = cols ? cols.reduce((sum, c) => sum + (c.type === "string" ? textTokens : NON_TEXT_VALUE_TOKENS), 0) : textTokens;
+      outputTokens += perItemOverhead + values;
+    }
+    outputTokens += countTokens('{"results":[]}');
+  }
+
+  const caps = capsFor(spec.model);
+  const effort = spec.modelParams?.reasoningEffort || (caps.reasoningEfforts.length ? "medium" : "none");
+  const reasoningTokens = Math.round(outputTokens * (REASONING_FACTOR[effort] ?? 0));
+  const usage = { inputTokens, cachedTokens: cachedInputTokens, outputTokens: outputTokens + reasoningTokens };
+
+  return {
+    model: spec.model,
+    rows: items.length,
+    chunks: chunkInputTokens.length,
+    inputTokens,
+    cachedInputTokens,
+    outputTokens,
+    reasoningTokens,
+    chunkInputTokens,
+    pricingKnown: Boolean(priceFor(spec.model)),
+    cost: {
+      currency: "USD",
+      direct: roundUsd(costOf(usage, spec.model)),
+      batch: roundUsd(costOf(usage, spec.model, { batch: true })),
+      directWithoutCache: roundUsd(costOf({ ...usage, cachedTokens: 0 }, spec.model)),
+    },
+  };
+}
+
+module.exports = { MESSAGE_OVERHEAD_TOKENS, countTokens, estimateJob };
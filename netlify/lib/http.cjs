@@ -0,0 +1,25 @@
+// netlify/lib/http.cjs
+// Response helpers shared by the HTTP functions, so every response they send (errors and preflights included)
+// carries the same CORS headers. ALLOWED_ORIGIN limits the origin (default *).
+
+// `allowHeaders` and `exposeHeaders` add to the request headers every function accepts (e.g. Range on a download).
+function corsHeaders(methods, { allowHeaders = [], exposeHeaders = [] } = {}) {
+  return {
+    "Access-Control-Allow-Origin": process.env.ALLOWED_ORIGIN || "*",
+    "Access-Control-Allow-Methods": methods,
+    "Access-Control-Allow-Headers": ["Content-Type", "Authorization", "X-User", ...allowHeaders].join(", "),
+    ...(exposeHeaders.length ? { "Access-Control-Expose-Headers": exposeHeaders.join(", ") } : {}),
+  };
+}
+
+// res(statusCode, body, headers?) for a function: JSON unless `body` is already a string (then `headers` give
+// its Content-Type), always with `cors`.
+function responder(cors) {
+  return (statusCode, body, headers) => ({
+    statusCode,
+    headers: { "Content-Type": "application/json", ...(headers || {}), ...cors },
+    body: typeof body === "string" ? body : JSON.stringify(body ?? {}),
+  });
+}
+
+module.exports = { corsHeaders, responder };
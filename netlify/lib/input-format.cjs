@@ -0,0 +1,270 @@
+// netlify/lib/input-format.cjs
+// Reads input files of every supported format into the one row model all modes share: objects of string
+// cells keyed by header. A job keeps that model as UTF-8 comma CSV at csv/<jobId>.csv, so the worker,
+// repairs and the reconstructor only ever parse CSV.
+//
+// Formats: csv (comma, semicolon, tab or pipe, sniffed from the header line), tsv, xlsx (any worksheet) and
+// jsonl (nested objects become dotted columns such as "user.name"). Text is decoded as UTF-8, UTF-16 LE/BE
+// (with or without BOM) or, when the bytes are not valid UTF-8, Windows-1252. Every format but xlsx is read
+// as a stream, one row at a time.
+
+const fs = require("node:fs");
+const readline = require("node:readline");
+const { Readable } = require("node:stream");
+const { csvRows, streamItems } = require("./rows.cjs");
+const { rowFileWriter } = require("./output-format.cjs");
+
+const FORMATS = ["csv", "tsv", "xlsx", "jsonl"];
+const DELIMITERS = [",", ";", "\t", "|"];
+const ENCODINGS = ["utf-8", "utf-16le", "utf-16be", "windows-1252"];
+const HEAD_BYTES = 64 * 1024;
+
+// Overrides from form fields (inputFormat, sheet, delimiter, encoding); empty means detect.
+// Throws with a user-facing message on bad values.
+function inputOptionsFromFields(fields = {}) {
+  const pick = (v) => { const s = String(v || "").trim().toLowerCase(); return s === "auto" ? "" : s; };
+  const format = pick(fields.inputFormat);
+  if (format && !FORMATS.includes(format)) throw new Error(`Input format must be one of: auto, ${FORMATS.join(", ")}`);
+  const encoding = pick(fields.encoding);
+  if (encoding && !ENCODINGS.includes(encoding)) throw new Error(`Encoding must be one of: auto, ${ENCODINGS.join(", ")}`);
+  const rawDelimiter = String(fields.delimiter || "");
+  const delimiter = ["tab", "\\t"].includes(rawDelimiter.toLowerCase()) ? "\t" : rawDelimiter;
+  if (delimiter && !DELIMITERS.includes(delimiter)) throw new Error("Delimiter must be one of: , ; tab |");
+  return { format, encoding, delimiter, sheet: String(fields.sheet || "").trim() };
+}
+
+function detectEncoding(head) {
+  if (head[0] === 0xef && head[1] === 0xbb && head[2] === 0xbf) return "utf-8";
+  if (head[0] === 0xff && head[1] === 0xfe) return "utf-16le";
+  if (head[0] === 0xfe && head[1] === 0xff) return "utf-16be";
+  // UTF-16 without a BOM: mostly-ASCII text leaves every other byte zero
+  const sample = head.subarray(0, 4096);
+  let evenZeros = 0; let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) if (sample[i] === 0) i % 2 ? oddZeros++ : evenZeros++;
+  if (oddZeros > sample.length / 4) return "utf-16le";
+  if (evenZeros > sample.length / 4) return "utf-16be";
+  // `stream` keeps a character cut off at the end of the sample from counting as invalid
+  try { new TextDecoder("utf-8", { fatal: true }).decode(head, { stream: true }); return "utf-8"; } catch { return "windows-1252"; }
+}
+
+// Text chunks of a byte stream; the decoder drops a leading BOM and keeps characters split across chunks whole.
+async function* decodeStream(stream, encoding) {
+  const decoder = new TextDecoder(encoding);
+  for await (const c of stream) { const text = decoder.decode(Buffer.from(c), { stream: true }); if (text) yield text; }
+  const rest = decoder.decode();
+  if (rest) yield rest;
+}
+
+function formatFromName(fileName) {
+  const ext = /\.([a-z0-9]+)$/i.exec(fileName || "")?.[1]?.toLowerCase();
+  return { xlsx: "xlsx", xlsm: "xlsx", tsv: "tsv", tab: "tsv", jsonl: "jsonl", ndjson: "jsonl", csv: "csv", txt: "csv" }[ext] || null;
+}
+
+// The delimiter used most in the header line (outside quotes); comma when none appears.
+function sniffDelimiter(text) {
+  let line = ""; let quoted = false;
+  for (const ch of text) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === "\n" || ch === "\r")) break;
+    else if (!quoted) line += ch;
+  }
+  let best = ","; let bestCount = 0;
+  for (const d of DELIMITERS) { const n = line.split(d).length - 1; if (n > bestCount) { best = d; bestCount = n; } }
+  return best;
+}
+
+// { format, encoding, delimiter } of a file from its first bytes and name; `options` override detection.
+function detectInput(head, fileName, options = {}) {
+  let format = options.format || null;
+  // xlsx is a zip container; legacy .xls (an OLE2 compound file) is not read
+  if (!format && head[0] === 0x50 && head[1] === 0x4b && head[2] === 0x03 && head[3] === 0x04) format = "xlsx";
+  if (head[0] === 0xd0 && head[1] === 0xcf && head[2] === 0x11 && head[3] === 0xe0) throw new Error("Legacy .xls workbooks are not supported; save the file as .xlsx");
+  if (!format) format = formatFromName(fileName);
+  if (format === "xlsx") return { format, encoding: null, delimiter: null };
+  const encoding = options.encoding || detectEncoding(head);
+  const text = new TextDecoder(encoding).decode(head.subarray(0, HEAD_BYTES), { stream: true }).replace(/^\uFEFF/, "");
+  if (!format) format = /^\s*\{/.test(text) ? "jsonl" : "csv";
+  if (format === "jsonl") return { format, encoding, delimiter: null };
+  const delimiter = options.delimiter || (format === "tsv" ? "\t" : sniffDelimiter(text));
+  return { format: delimiter === "\t" ? "tsv" : "csv", encoding, delimiter };
+}
+
+// Already in the stored form, so it can be kept as is and parsed as a stream.
+function isCanonical(info) {
+  return info.format === "csv" && info.encoding === "utf-8" && info.delimiter === ",";
+}
+
+// Blank headers become column_<n>, repeated ones get _2, _3, ...
+function uniqueHeaders(raw) {
+  const seen = new Map();
+  return raw.map((h, i) => {
+    const base = String(h ?? "").trim() || `column_${i + 1}`;
+    const n = (seen.get(base) || 0) + 1; seen.set(base, n);
+    return n === 1 ? base : `${base}_${n}`;
+  });
+}
+
+function cellText(v) {
+  if (v == null) return "";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+}
+
+// Nested objects become dotted keys; arrays and scalars are kept as cell text.
+function flattenObject(obj, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(obj)) {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flattenObject(v, key, out);
+    else out[key] = cellText(v);
+  }
+  return out;
+}
+
+// Flattened objects of a JSONL stream, one per non-blank line.
+async function* jsonlObjects(stream, encoding) {
+  const lines = readline.createInterface({ input: Readable.from(decodeStream(stream, encoding)), crlfDelay: Infinity });
+  let n = 0;
+  for await (const line of lines) {
+    n++;
+    if (!line.trim()) continue;
+    let obj;
+    try { obj = JSON.parse(line); } catch { throw new Error(`JSONL line ${n} is not valid JSON`); }
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) throw new Error(`JSONL line ${n} is not an object`);
+    yield flattenObject(obj);
+  }
+}
+
+// The columns are the keys of every line, so the file is read twice: once for the headers, then for the rows.
+async function jsonlRows(open, encoding) {
+  const headers = []; const known = new Set();
+  for await (const row of jsonlObjects(await open(), encoding)) {
+    for (const k of Object.keys(row)) if (!known.has(k)) { known.add(k); headers.push(k); }
+  }
+  // Every row gets every column, so the stored CSV has a value for each header
+  async function* rows() {
+    for await (const r of jsonlObjects(await open(), encoding)) yield Object.fromEntries(headers.map((h) => [h, r[h] ?? ""]));
+  }
+  return { headers: () => headers, rows: rows() };
+}
+
+// A cell as text: dates as ISO dates (with the time when there is one), formulas as their result,
+// rich text and hyperlinks as their text.
+function xlsxCellText(cell) {
+  const v = cell.value;
+  if (v == null) return "";
+  if (v instanceof Date) return v.toISOString().replace(/T00:00:00\.000Z$/, "").replace(/\.000Z$/, "Z");
+  if (typeof v === "object" && v.result instanceof Date) return xlsxCellText({ value: v.result });
+  return cell.text;
+}
+
+async function parseXlsx(buffer, sheet) {
+  const ExcelJS = require("exceljs");
+  const wb = new ExcelJS.Workbook();
+  await wb.xlsx.load(buffer);
+  const sheets = wb.worksheets.map((ws) => ws.name);
+  const ws = sheet ? wb.getWorksheet(sheet) : wb.worksheets[0];
+  if (!ws) throw new Error(`Sheet "${sheet}" not found; the workbook has: ${sheets.join(", ")}`);
+  const table = [];
+  ws.eachRow({ includeEmpty: false }, (row) => {
+    const cells = [];
+    row.eachCell({ includeEmpty: true }, (cell, col) => { cells[col - 1] = xlsxCellText(cell); });
+    if (cells.some((c) => c !== "" && c != null)) table.push(Array.from(cells, (c) => c ?? ""));
+  });
+  const headers = uniqueHeaders(table[0] || []);
+  const rows = table.slice(1).map((cells) => Object.fromEntries(headers.map((h, i) => [h, cellText(cells[i])])));
+  return { headers, rows, sheets, sheet: ws.name };
+}
+
+// Rows of anything that is not canonical CSV: { rows, headers(), sheets?, sheet? }. `rows` is iterated with
+// for await; headers() is complete once the first row has been read. xlsx is parsed whole.
+async function inputRows(file, info, { sheet } = {}) {
+  const open = async () => file.buffer ? Readable.from([file.buffer]) : file.open();
+  if (info.format === "xlsx") {
+    const { headers, ...parsed } = await parseXlsx(file.buffer || await streamToBuffer(await file.open()), sheet);
+    return { ...parsed, headers: () => headers };
+  }
+  if (info.format === "jsonl") return jsonlRows(open, info.encoding);
+  let headers = [];
+  const rows = csvRows(Readable.from(decodeStream(await open(), info.encoding)), { delimiter: info.delimiter, onHeaders: (h) => { headers = h; } });
+  return { rows, headers: () => headers };
+}
+
+// inputRows read into memory: { headers, rows, sheets?, sheet? }.
+async function readInputRows(buffer, info, options = {}) {
+  const { rows, headers, ...rest } = await inputRows({ buffer }, info, options);
+  const all = [];
+  for await (const row of rows) all.push(row);
+  return { headers: headers(), rows: all, ...rest };
+}
+
+// Passes the rows of `input` through while writing them to `writer`, started with the headers at the first row.
+async function* writeThrough(input, writer) {
+  let started = false;
+  for await (const row of input.rows) {
+    if (!started) { await writer.start(input.headers()); started = true; }
+    await writer.row(row);
+    yield row;
+  }
+  if (!started) await writer.start(input.headers());
+  await writer.end();
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const c of stream) chunks.push(Buffer.from(c));
+  return Buffer.concat(chunks);
+}
+
+async function readHead(stream, bytes = HEAD_BYTES) {
+  const chunks = []; let size = 0;
+  for await (const c of stream) { chunks.push(Buffer.from(c)); size += c.length; if (size >= bytes) break; }
+  stream.destroy?.();
+  return Buffer.concat(chunks);
+}
+
+// Reads an input file into items for `spec`, one row at a time. `file` is { buffer } or, for stored uploads,
+// { open } returning a fresh Node stream each call. With `convert`, input that is not canonical CSV is also
+// written as UTF-8 comma CSV to a temp file, returned as `csvPath` for the caller to store in its place and remove.
+// Returns { info, headers, rowCount, items, csvPath? }.
+async function readInput(file, { fileName, options = {}, spec, maxRows = 0, convert = false }) {
+  const head = file.buffer ? file.buffer.subarray(0, HEAD_BYTES) : await readHead(await file.open());
+  const info = detectInput(head, fileName, options);
+  if (isCanonical(info)) {
+    let headers = [];
+    const rows = csvRows(file.buffer || await file.open(), { onHeaders: (h) => { headers = h; } });
+    const { rowCount, items } = await streamItems(rows, spec, { maxRows });
+    return { info, headers, rowCount, items };
+  }
+  const input = await inputRows(file, info, options);
+  const writer = convert ? rowFileWriter("csv", { newlines: "keep" }) : null;
+  try {
+    const { rowCount, items } = await streamItems(writer ? writeThrough(input, writer) : input.rows, spec, { maxRows });
+    const { sheets, sheet } = input;
+    return { info: { ...info, ...(sheets ? { sheets, sheet } : {}) }, headers: input.headers(), rowCount, items, ...(writer ? { csvPath: writer.path } : {}) };
+  } catch (e) {
+    if (writer) await fs.promises.rm(writer.path, { force: true });
+    throw e;
+  }
+}
+
+// Format, headers and the first rows, for the column picker. Canonical CSV is only read as far as its first
+// HEAD_BYTES (rowCount is then null); other formats are read through to count their rows.
+async function previewInput(file, { fileName, options = {}, limit = 5 }) {
+  const head = file.buffer ? file.buffer.subarray(0, HEAD_BYTES) : await readHead(await file.open());
+  const info = detectInput(head, fileName, options);
+  const input = isCanonical(info) ? canonicalHead(head) : await inputRows(file, info, options);
+  const rows = []; let rowCount = 0;
+  for await (const row of input.rows) if (rowCount++ < limit) rows.push(row);
+  const { sheets, sheet } = input;
+  return { info: { ...info, ...(sheets ? { sheets, sheet } : {}) }, headers: input.headers(), rows, rowCount: input.partial ? null : rowCount };
+}
+
+// The complete lines of a canonical CSV's first bytes, as inputRows; `partial` when the file goes on.
+function canonicalHead(head) {
+  const partial = head.length >= HEAD_BYTES;
+  const text = head.toString("utf8");
+  let headers = [];
+  const rows = csvRows(partial ? text.slice(0, Math.max(text.lastIndexOf("\n"), 0)) : text, { onHeaders: (h) => { headers = h; } });
+  return { rows, headers: () => headers, partial };
+}
+
+module.exports = { FORMATS, HEAD_BYTES, inputOptionsFromFields, detectEncoding, sniffDelimiter, detectInput, isCanonical, readInputRows, readInput, previewInput };
@@ -0,0 +1,66 @@
+// netlify/lib/job-spec.cjs
+// The one place a job spec (stored meta) plus a chunk of rows becomes a Responses API body.
+// batch-create (batch, direct, dry run), batch-repair, the direct worker and render-request all go through here.
+
+const { parseList, inputSpecFromFields, describeItemShape } = require("./rows.cjs");
+const { parseOutputCols, requestColumns, buildResponseFormat, describeResultShape } = require("./output-schema.cjs");
+const { modelParamsFromFields, validateModelParams, applyModelParams } = require("./model-params.cjs");
+
+const DEFAULT_MODEL = "gpt-5.4-nano";
+const DEFAULT_PROMPT = "Translate to English.";
+const DEFAULT_CHUNK_SIZE = 500;
+const MAX_CHUNK_SIZE = 1000;
+
+// Spec fields persisted in job meta. Throws with a user-facing message on invalid input.
+function jobSpecFromFields(fields = {}, { batch = false } = {}) {
+  const model = fields.model || DEFAULT_MODEL;
+  const modelParams = modelParamsFromFields(fields);
+  const paramError = validateModelParams(model, modelParams, { batch });
+  if (paramError) throw new Error(paramError);
+  return {
+    ...inputSpecFromFields(fields),
+    targetCols: parseList(fields.targetCols),
+    outputCols: parseOutputCols(fields.outputCols),
+    model,
+    modelParams,
+    prompt: fields.prompt || DEFAULT_PROMPT,
+    contextDoc: fields.contextDoc || "",
+    chunkSize: Math.max(1, Math.min(MAX_CHUNK_SIZE, Number(fields.chunkSize || DEFAULT_CHUNK_SIZE))),
+  };
+}
+
+function systemPrompt(spec, targetCol) {
+  const prompt = spec.prompt || DEFAULT_PROMPT;
+  const instructions = targetCol ? prompt.replace(/\$\{columnName(s)?\}/gi, targetCol) : prompt;
+  const resultShape = describeResultShape(requestColumns(spec, targetCol));
+  const suffix = ` You will receive a json object {"rows":[${describeItemShape(inputSpecFromFields(spec))},...]}. For each item, produce ${resultShape} with the same id, following the user instructions above. The output must be valid json. Return ONLY a json object exactly like: {"results":[${resultShape},...]} in the SAME ORDER as input.`;
+  const content = spec.contextDoc ? `[REFERENCE CONTEXT]\n${spec.contextDoc}\n\n[INSTRUCTIONS]\n${instructions}` : instructions;
+  return `${content}${suffix}`;
+}
+
+// `model` overrides the spec's model (e.g. a fallback model for repair rounds).
+function buildRequestBody(spec, rowsChunk, { targetCol = null, model = spec.model } = {}) {
+  return applyModelParams({
+    model,
+    input: [
+      { role: "system", content: systemPrompt(spec, targetCol) },
+      { role: "user", content: "Return only a json object as specified. The output must be valid json." },
+      { role: "user", content: JSON.stringify({ rows: rowsChunk }) },
+    ],
+    text: { format: buildResponseFormat(requestColumns(spec, targetCol)) },
+  }, spec.modelParams);
+}
+
+// Splits items into request-sized chunks, one pass per target column (or a single pass without targets).
+function planChunks(items, spec, chunkSize = spec.chunkSize || DEFAULT_CHUNK_SIZE) {
+  const cols = spec.targetCols?.length ? spec.targetCols : [null];
+  const chunks = [];
+  cols.forEach((targetCol, colIdx) => {
+    for (let start = 0; start < items.length; start += chunkSize) {
+      chunks.push({ rows: items.slice(start, start + chunkSize), targetCol, colIdx: targetCol ? colIdx : null, start });
+    }
+  });
+  return chunks;
+}
+
+module.exports = { DEFAULT_MODEL, jobSpecFromFields, systemPrompt, buildRequestBody, planChunks };
@@ -0,0 +1,171 @@
+// netlify/lib/jobs.cjs
+// Job meta helpers. A batch job's meta lives at jobs/<jobId>.json and lists every batch it owns
+// (splits and repairs); each batch also has jobs/<batchId>.json pointing back through `jobId`.
+// Every job, batch or direct, also has a small searchable entry at index/<jobId>.json. Jobs that a scheduled
+// function still has to look at also have a marker at active/<jobId>.json, so those runs don't scan the whole index.
+
+const { canAccessJob } = require("./auth.cjs");
+
+async function getJson(store, key) { return store.get(key, { type: "json" }).catch(() => null); }
+
+// Job meta for a jobId or any of its batch ids. Jobs created before splitting only have the batch meta,
+// which is returned as a one-batch job.
+async function resolveJobMeta(store, id) {
+  const meta = await getJson(store, `jobs/${id}.json`);
+  if (!meta) return null;
+  if (Array.isArray(meta.batchIds) || !meta.batchId) return meta;
+  const jobMeta = meta.jobId && meta.jobId !== id ? await getJson(store, `jobs/${meta.jobId}.json`) : null;
+  if (Array.isArray(jobMeta?.batchIds)) return jobMeta;
+  return { ...meta, batchIds: [meta.batchId], batches: [{ batchId: meta.batchId, part: 0 }] };
+}
+
+// null when `user` may see and change the job `id` (a jobId or any of its batch ids), else the error for a 403.
+// Per-batch meta has no owner, so it is checked against the job's.
+async function jobAccessError(store, user, id) {
+  const meta = await resolveJobMeta(store, id);
+  return canAccessJob(user, meta) ? null : "This job belongs to another user";
+}
+
+// Appends batches to the job meta. No-op for jobs that predate job-level meta.
+async function recordBatches(store, jobId, entries) {
+  const meta = await getJson(store, `jobs/${jobId}.json`);
+  if (!Array.isArray(meta?.batchIds)) return null;
+  const batches = [...(meta.batches || []), ...entries];
+  const next = { ...meta, batches, batchIds: batches.map((b) => b.batchId), updatedAt: new Date().toISOString() };
+  await store.set(`jobs/${jobId}.json`, JSON.stringify(next), { contentType: "application/json" });
+  return next;
+}
+
+// Stores `cancellation` on the job meta (on the batch meta for jobs that predate job-level meta).
+async function recordCancellation(store, meta, cancellation) {
+  const jobMeta = meta.jobId ? await getJson(store, `jobs/${meta.jobId}.json`) : null;
+  const key = Array.isArray(jobMeta?.batchIds) ? `jobs/${meta.jobId}.json` : `jobs/${meta.batchIds[0]}.json`;
+  const current = await getJson(store, key);
+  if (!current) return;
+  await store.set(key, JSON.stringify({ ...current, cancellation, updatedAt: new Date().toISOString() }), { contentType: "application/json" });
+}
+
+// Identifies one outcome of one set of batches, so a repair round that finishes later notifies again.
+function notifyKey(state, batchIds) { return `${state}:${batchIds.join(",")}`; }
+
+// Whether a scheduled function still has work for this index entry: a direct job the watchdog may have to
+// restart, or a batch job to poll, auto-repair or notify.
+function isActiveEntry(entry) {
+  if (entry?.mode === "direct") return entry.status === "queued" || entry.status === "running";
+  if (entry?.mode !== "batch") return false;
+  if (!TERMINAL_JOB_STATES.includes(entry.status)) return true;
+  if (entry.autoRepair && !entry.autoRepairStopped) return true;
+  return Boolean(entry.webhook) && entry.webhookSentFor !== notifyKey(entry.status, entry.batchIds || []);
+}
+
+async function syncActiveMarker(store, entry, wasActive) {
+  const active = isActiveEntry(entry);
+  if (active === wasActive) return;
+  if (active) await store.set(`active/${entry.jobId}.json`, JSON.stringify({ jobId: entry.jobId, mode: entry.mode }), { contentType: "application/json" });
+  else await store.delete(`active/${entry.jobId}.json`);
+}
+
+// Merges `fields` into the job's index entry (creating it on first write) and keeps its active/ marker in step.
+// Index writes never fail a job.
+async function writeJobIndex(store, jobId, fields) {
+  try {
+    const prev = await getJson(store, `index/${jobId}.json`);
+    const now = new Date().toISOString();
+    const entry = { jobId, createdAt: now, ...(prev || {}), ...fields, updatedAt: now };
+    await store.set(`index/${jobId}.json`, JSON.stringify(entry), { contentType: "application/json" });
+    await syncActiveMarker(store, entry, isActiveEntry(prev));
+    return entry;
+  } catch { return null; }
+}
+
+// Index entries of the jobs marked active, for the scheduled functions. Markers whose entry is gone or no longer
+// active are dropped. The first run after the active/ index was introduced builds it from the full index once.
+async function activeJobEntries(store) {
+  if (!(await getJson(store, "active/.built.json"))) {
+    const { blobs } = await store.list({ prefix: "index/" });
+    const entries = await Promise.all(blobs.map((b) => getJson(store, b.key)));
+    await Promise.all(entries.filter(isActiveEntry).map((e) => syncActiveMarker(store, e, false)));
+    await store.set("active/.built.json", JSON.stringify({ builtAt: new Date().toISOString() }), { contentType: "application/json" });
+  }
+  const { blobs } = await store.list({ prefix: "active/" });
+  const ids = blobs.map((b) => b.key.slice("active/".length, -".json".length)).filter((id) => id && id !== ".built");
+  const entries = await Promise.all(ids.map(async (jobId) => {
+    const entry = await getJson(store, `index/${jobId}.json`);
+    if (isActiveEntry(entry)) return entry;
+    await store.delete(`active/${jobId}.json`).catch(() => {});
+    return null;
+  }));
+  return entries.filter(Boolean);
+}
+
+// Status-only index update for pollers and workers; skips the write when nothing changed.
+async function syncJobIndexStatus(store, jobId, status, extra = {}) {
+  const prev = await getJson(store, `index/${jobId}.json`);
+  if (!prev || (prev.status === status && Object.entries(extra).every(([k, v]) => JSON.stringify(prev[k]) === JSON.stringify(v)))) return prev;
+  return writeJobIndex(store, jobId, { status, ...extra });
+}
+
+// Index fields taken from job meta at creation time.
+function indexFieldsFromMeta(meta, { mode, name, rowCount, status }) {
+  return {
+    name: name || meta.name || meta.fileName || meta.jobId,
+    fileName: meta.fileName || null,
+    mode,
+    model: meta.model,
+    status,
+    rowCount: rowCount ?? null,
+    targetCols: meta.targetCols || [],
+    batchIds: meta.batchIds || [],
+    createdAt: meta.createdAt,
+    owner: meta.owner || null,
+  };
+}
+
+const ACTIVE_BATCH_STATES = ["validating", "in_progress", "finalizing", "cancelling"];
+
+// One state for the whole job from its batches' states. "partial" means every batch is finished
+// but only some of them completed.
+function overallState(statuses) {
+  if (!statuses.length) return "unknown";
+  if (statuses.some((s) => ACTIVE_BATCH_STATES.includes(s) && s !== "cancelling")) return "in_progress";
+  if (statuses.includes("cancelling")) return "cancelling";
+  if (statuses.every((s) => s === "completed")) return "completed";
+  if (statuses.includes("completed")) return "partial";
+  if (statuses.every((s) => s === "failed")) return "failed";
+  return statuses.includes("cancelled") ? "cancelled" : "expired";
+}
+
+// States after which a job's batches will not change again (until a repair adds new ones).
+const TERMINAL_JOB_STATES = ["completed", "partial", "failed", "cancelled", "expired"];
+
+// Retrieves every batch of a job. entries: [{ batchId, part?, isRepair? }] (job meta `batches`).
+// A batch that cannot be retrieved comes back with status "unknown" and the error.
+async function retrieveBatches(client, entries) {
+  return Promise.all(entries.map(async (entry) => {
+    try {
+      const b = await client.batches.retrieve(entry.batchId);
+      return {
+        batchId: entry.batchId, part: entry.part ?? null, isRepair: Boolean(entry.isRepair),
+        status: b.status, request_counts: b.request_counts || null,
+        output_file_id: b.output_file_id || null, error_file_id: b.error_file_id || null,
+        errors: b.errors?.data || [], created_at: b.created_at, completed_at: b.completed_at || null,
+      };
+    } catch (e) {
+      return { batchId: entry.batchId, part: entry.part ?? null, isRepair: Boolean(entry.isRepair), status: "unknown", request_counts: null, errors: [{ message: e?.message || String(e) }] };
+    }
+  }));
+}
+
+// Job-level view of retrieved batches: { state, request_counts, errors }.
+function summarizeBatches(batches) {
+  const request_counts = { total: 0, completed: 0, failed: 0 };
+  for (const b of batches) for (const k of Object.keys(request_counts)) request_counts[k] += Number(b.request_counts?.[k] || 0);
+  const errors = batches.flatMap((b) => b.errors.map((e) => ({ batchId: b.batchId, code: e.code || null, message: e.message, line: e.line ?? null })));
+  return { state: overallState(batches.map((b) => b.status).filter((s) => s !== "unknown")), request_counts, errors };
+}
+
+function batchEntries(meta) {
+  return meta.batches || meta.batchIds.map((batchId) => ({ batchId }));
+}
+
+module.exports = { ACTIVE_BATCH_STATES, TERMINAL_JOB_STATES, resolveJobMeta, jobAccessError, recordBatches, recordCancellation, writeJobIndex, syncJobIndexStatus, activeJobEntries, isActiveEntry, notifyKey, indexFieldsFromMeta, overallState, retrieveBatches, summarizeBatches, batchEntries };
@@ -0,0 +1,30 @@
+// netlify/lib/manifest.cjs
+// Chunk manifest: which CSV row ids every request of a job carried, stored at manifests/<jobId>.json.
+// Batch custom_ids are built from row ids (never from offsets into the filtered rows), and every merge path
+// checks returned ids against the manifest entry of the request they came back in.
+//
+// { jobId, rounds, chunks: { [customId]: { ids, targetCol, batchId, round } } }
+// Round 0 is the original submission, each repair adds a round. Direct jobs key chunks by their index.
+
+// e.g. "k0-r120" or "k2-r120-c1" (round 2 repair, first row 120, second target column)
+function customIdFor(chunk, round = 0) {
+  return `k${round}-r${chunk.rows[0].id}${chunk.targetCol ? `-c${chunk.colIdx}` : ""}`;
+}
+
+function manifestEntry(chunk, { batchId = null, round = 0 } = {}) {
+  return { ids: chunk.rows.map((r) => r.id), targetCol: chunk.targetCol || null, batchId, round };
+}
+
+async function loadManifest(store, jobId) {
+  return store.get(`manifests/${jobId}.json`, { type: "json" }).catch(() => null);
+}
+
+// Adds entries (keyed by custom_id or chunk index) and bumps `rounds` to cover `round`.
+async function appendManifest(store, jobId, entries, { round = 0 } = {}) {
+  const prev = (await loadManifest(store, jobId)) || { jobId, rounds: 0, chunks: {} };
+  const next = { ...prev, rounds: Math.max(prev.rounds, round + 1), chunks: { ...prev.chunks, ...entries } };
+  await store.set(`manifests/${jobId}.json`, JSON.stringify(next), { contentType: "application/json" });
+  return next;
+}
+
+module.exports = { customIdFor, manifestEntry, loadManifest, appendManifest };
@@ -0,0 +1,321 @@
+// netlify/lib/merge.cjs
+// The one result-merging engine: batch output files and direct-mode partials are parsed with the
+// same fallbacks, mapped back onto CSV rows, checked against the output schema and serialised the same way.
+
+const { Readable } = require("node:stream");
+const { inputSpecFromFields, buildItem, isSkipped, csvRows } = require("./rows.cjs");
+const { parseOutputCols, columnSpecs, checkValue } = require("./output-schema.cjs");
+const { usageFromResponse, addModelUsage } = require("./usage.cjs");
+
+// The rows of a job's input (csv/<jobId>.csv) streamed from the store (see csvRows); null when the file is gone.
+async function jobCsvRows(store, jobId) {
+  const stream = await store.get(`csv/${jobId}.csv`, { type: "stream" }).catch(() => null);
+  return stream ? csvRows(Readable.fromWeb(stream)) : null;
+}
+
+function ensureUtf8Bom(str) { return str && !str.startsWith("\uFEFF") ? "\uFEFF" + str : str; }
+function flattenRow(r) { const out = {}; for (const [k, v] of Object.entries(r)) { let s = v == null ? "" : String(v); s = s.replace(/\r\n/g, " ").replace(/\n/g, " ").replace(/\r/g, " ").replace(/[ \t]+/g, " ").trim(); out[k] = s; } return out; }
+function escapeRow(r) { return Object.fromEntries(Object.entries(r).map(([k, v]) => [k, v == null ? "" : String(v).replace(/\r\n|\n|\r/g, "\\n")])); }
+function flattenNewlines(rows) { return rows.map(flattenRow); }
+// A row's cells for CSV output. newlines: "flatten" (to spaces, one line per row), "escape" (to a literal \n)
+// or "keep" (quoted multi-line cells).
+function csvCells(row, newlines = "flatten") { return newlines === "keep" ? row : newlines === "escape" ? escapeRow(row) : flattenRow(row); }
+function normalizeUtf(s) { if (s == null) return ""; let t = String(s); if (typeof t.normalize === "function") t = t.normalize("NFC"); return t.replace(/\uFFFD/g, ""); }
+
+// JSON repair helpers
+function tryParseJsonWithRepairs(raw) {
+  if (raw == null) return null; let s = String(raw).trim(); if (!s) return null;
+  const attempt = (t) => { try { return JSON.parse(t); } catch { return null; } };
+  let obj = attempt(s); if (obj) return obj;
+  s = s.replace(/(?<!\\)\\(?!["\\/bfnrtu])/g, "\\\\"); obj = attempt(s); if (obj) return obj;
+  s = s.replace(/,\s*([}\]])/g, "$1"); obj = attempt(s); if (obj) return obj;
+  const balance = (t, o, c) => t + c.repeat(Math.max(0, (t.match(new RegExp("\\"+o,"g"))||[]).length - (t.match(new RegExp("\\"+c,"g"))||[]).length));
+  s = balance(balance(s, "{", "}"), "[", "]"); obj = attempt(s); if (obj) return obj;
+  const lp = Math.max(s.lastIndexOf("}"), s.lastIndexOf("]")); if (lp > 0) return attempt(s.slice(0, lp + 1));
+  return null;
+}
+
+// { parsed, repaired }: `repaired` is true when plain JSON.parse failed and a repair pass was needed.
+function parseOutputText(text) {
+  if (typeof text !== "string" || !text.trim()) return { parsed: null, repaired: false };
+  try { return { parsed: JSON.parse(text), repaired: false }; } catch {}
+  const parsed = tryParseJsonWithRepairs(text);
+  return { parsed, repaired: Boolean(parsed) };
+}
+
+function parseResultPossiblyJson(raw) {
+  if (typeof raw !== "string") return null; let r = raw.trim(); if (!r) return null;
+  if (!r.includes('"cols"') && !r.includes("'cols'") && !r.startsWith("{")) return null;
+  let obj = tryParseJsonWithRepairs(r);
+  if (obj?.cols && typeof obj.cols === "object") return { cols: obj.cols };
+  if (obj?.result && typeof obj.result === "string") {
+    let nested = tryParseJsonWithRepairs(obj.result);
+    if (nested?.cols) return { cols: nested.cols };
+  }
+  return null;
+}
+
+function extractOutputJsonText(body) {
+  if (typeof body?.output_text === "string" && body.output_text.trim()) return body.output_text;
+  if (typeof body?.content === "string" && body.content.trim()) return body.content;
+  if (Array.isArray(body?.output)) {
+    for (const out of body.output) {
+      if (Array.isArray(out?.content)) {
+        const p = out.content.find(p => p?.type === "output_text" && p.text?.trim()) || out.content.find(p => p.text?.trim());
+        if (p) return p.text;
+      }
+    }
+  }
+  return "";
+}
+
+const PROVENANCE_HEADERS = ["_batch", "_chunk", "_repaired"];
+
+// Why a row's request produced nothing usable, in the order they are checked.
+const FAILURE_GROUPS = ["api_error", "refusal", "truncation", "unparseable", "missing_id"];
+
+function refusalText(body) {
+  for (const out of Array.isArray(body?.output) ? body.output : []) {
+    const r = Array.isArray(out?.content) ? out.content.find((p) => p?.type === "refusal") : null;
+    if (r) return r.refusal || "refused";
+  }
+  return null;
+}
+
+// Row ids carried by each request of a batch input file, keyed by custom_id.
+function requestRowsFromInput(text) {
+  const out = new Map();
+  for (const line of String(text || "").split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    let obj; try { obj = JSON.parse(line); } catch { continue; }
+    const input = Array.isArray(obj?.body?.input) ? obj.body.input : [];
+    let rows = null; try { rows = JSON.parse(input[input.length - 1]?.content || "null")?.rows; } catch {}
+    if (Array.isArray(rows)) out.set(String(obj.custom_id), rows.map((r) => Number(r.id)).filter(Number.isFinite));
+  }
+  return out;
+}
+
+// Later sources win per cell, so add original batches before their repairs.
+function createMerger(meta) {
+  const idToCols = new Map();
+  const provenance = new Map();
+  // Jobs created before structured outputs have no `outputCols`; their free-form values are not type-checked.
+  const colSpecs = Array.isArray(meta.outputCols) ? columnSpecs(meta) : new Map();
+  const typeViolations = [];
+  // Token usage per source (one per batch, one for all direct partials), keyed by the model that answered.
+  const usageSources = new Map();
+  const recordUsage = (key, src, model, usage) => {
+    if (!usage) return;
+    const prev = usageSources.get(key) || { ...src, byModel: {} };
+    usageSources.set(key, { ...prev, byModel: addModelUsage(prev.byModel, model, usage) });
+  };
+
+  // Per row, the last failure seen for a request that carried it: { group, batchId, chunk, message }.
+  const failures = new Map();
+  // Request rows per batch (from its input file), so failed requests can be traced back to rows.
+  const requestRows = new Map();
+  const fail = (ids, group, src, message) => { for (const id of ids || []) failures.set(id, { group, batchId: src.batchId, chunk: src.chunk, message }); };
+
+  // Ids written and ids whose values were all rejected by the schema check, for the current request.
+  let touched = { written: new Set(), violated: new Set() };
+
+  const pushCols = (id, colsObj, src) => {
+    if (!idToCols.has(id)) idToCols.set(id, {});
+    const acc = idToCols.get(id);
+    let wrote = false;
+    for (const [k, v] of Object.entries(colsObj)) {
+      const problem = checkValue(v, colSpecs.get(k));
+      if (problem) { typeViolations.push({ id, col: k, reason: problem }); touched.violated.add(id); continue; }
+      acc[k] = normalizeUtf(v == null ? "" : String(v)); wrote = true;
+    }
+    if (wrote) { provenance.set(id, { ...src }); touched.written.add(id); }
+  };
+
+  const pushResult = (id, result, src) => {
+    const maybe = parseResultPossiblyJson(result);
+    if (maybe?.cols) pushCols(id, maybe.cols, { ...src, repaired: true });
+    else pushCols(id, { result }, src);
+  };
+
+  // Returned ids that were rejected because they do not belong to the request they came back in.
+  const idMismatches = [];
+
+  // `expected` (row ids from the chunk manifest or the batch input file) is authoritative: items with a missing
+  // or foreign id are rejected. Without it (older jobs), `base` is the row id assumed for items without one.
+  function addParsed(parsed, src, base = 0, expected = null) {
+    const allowed = expected ? new Set(expected) : null;
+    const resolveId = (rawId, j) => {
+      const id = rawId === null || rawId === undefined || rawId === "" || !Number.isFinite(Number(rawId)) ? null : Number(rawId);
+      if (!allowed) return id ?? base + j;
+      if (id === null) { idMismatches.push({ batchId: src.batchId || null, chunk: src.chunk ?? null, id: null, reason: "id missing" }); return null; }
+      if (!allowed.has(id)) { idMismatches.push({ batchId: src.batchId || null, chunk: src.chunk ?? null, id, reason: "id not in this chunk" }); return null; }
+      return id;
+    };
+    const processItem = (item, j) => {
+      const id = resolveId(item?.id, j); if (id === null) return;
+      if (item?.cols && typeof item.cols === "object") pushCols(id, item.cols, src);
+      else if (typeof item?.result === "string") pushResult(id, item.result, src);
+    };
+    if (parsed?.results && Array.isArray(parsed.results)) parsed.results.forEach((item, j) => processItem(item, j));
+    else if (parsed?.results && typeof parsed.results === "object") processItem(parsed.results, 0);
+    else if (Array.isArray(parsed)) parsed.forEach((item, j) => processItem(item, j));
+    else if (parsed && typeof parsed === "object") {
+      // A bare object can only be attributed to a one-row chunk
+      const id = allowed ? (expected.length === 1 ? expected[0] : resolveId(null, 0)) : base;
+      if (id === null) return;
+      if (parsed.cols) pushCols(id, parsed.cols, src);
+      else if (parsed.result) pushResult(id, parsed.result, src);
+    }
+  }
+
+  return {
+    // Chunk manifest of the job (see manifest.cjs). Takes precedence over batch input files.
+    addManifest(manifest) {
+      for (const [key, entry] of Object.entries(manifest?.chunks || {})) {
+        const bucket = entry.batchId || "direct";
+        if (!requestRows.has(bucket)) requestRows.set(bucket, new Map());
+        requestRows.get(bucket).set(String(key), entry.ids);
+      }
+    },
+
+    // Whether the manifest already covers this batch (so its input file need not be read).
+    hasRequestRows(batchId) { return Boolean(requestRows.get(batchId)?.size); },
+
+    // Input file of a batch: records which rows each custom_id carried, for jobs without a manifest.
+    addBatchInput(text, { batchId } = {}) {
+      if (!this.hasRequestRows(batchId)) requestRows.set(batchId, requestRowsFromInput(text));
+    },
+
+    // One batch output or error file (JSONL text). Failed requests are attributed to their rows when the input is known.
+    addBatchOutput(text, { batchId, isRepair = false } = {}) {
+      for (const line of String(text || "").split(/\r?\n/)) {
+        if (!line.trim()) continue;
+        let obj; try { obj = JSON.parse(line); } catch { continue; }
+        const body = obj?.response?.body;
+        const src = { batchId, chunk: obj?.custom_id ?? null, isRepair };
+        const reqIds = requestRows.get(batchId)?.get(String(obj?.custom_id)) || null;
+        recordUsage(batchId, { batchId, isRepair, mode: "batch" }, body?.model, usageFromResponse(body?.usage));
+
+        const statusCode = Number(obj?.response?.status_code || 0);
+        if (obj?.error || !obj?.response || statusCode >= 300) {
+          fail(reqIds, "api_error", src, obj?.error?.message || body?.error?.message || `HTTP ${statusCode || "?"}`);
+          continue;
+        }
+        const truncated = body?.status === "incomplete" ? `incomplete: ${body?.incomplete_details?.reason || "unknown"}` : null;
+        const refusal = refusalText(body);
+        const { parsed, repaired } = parseOutputText(extractOutputJsonText(body));
+        if (!parsed) {
+          if (refusal) fail(reqIds, "refusal", src, refusal);
+          else if (truncated) fail(reqIds, "truncation", src, truncated);
+          else fail(reqIds, "unparseable", src, "output was not valid JSON");
+          continue;
+        }
+
+        touched = { written: new Set(), violated: new Set() };
+        addParsed(parsed, { ...src, repaired }, parseInt(obj?.custom_id, 10) || 0, reqIds);
+        for (const id of reqIds || []) {
+          if (touched.written.has(id)) continue;
+          if (truncated) fail([id], "truncation", src, truncated);
+          else if (touched.violated.has(id)) fail([id], "unparseable", src, "value did not match the output schema");
+          else fail([id], "missing_id", src, "id not returned");
+        }
+      }
+    },
+
+    // One direct-mode partial: `{ output_text, model, usage }` as stored by the worker, or an already parsed object from older jobs.
+    addPart(part, { chunk } = {}) {
+      const { parsed, repaired } = typeof part?.output_text === "string" ? parseOutputText(part.output_text) : { parsed: part, repaired: false };
+      if (typeof part?.output_text === "string") recordUsage("direct", { batchId: null, isRepair: false, mode: "direct" }, part.model || meta.model, part.usage);
+      addParsed(parsed, { batchId: null, chunk: chunk ?? null, isRepair: false, repaired }, 0, requestRows.get("direct")?.get(String(chunk)) || null);
+    },
+
+    // Merges the results into `originalRows` (an array or any async iterable, e.g. jobCsvRows) in row order and
+    // reports what is still missing. Merged rows are not kept: each goes to `sink` ({ start(headers, resultHeaders),
+    // row(row, idx), end() }, all optional) as it is made, so no path holds a job's rows at once.
+    // `withProvenance` adds `_batch`, `_chunk` and `_repaired` columns.
+    async finish(originalRows, { sink = {}, withProvenance = false } = {}) {
+      // Still-missing rows by failure group; rows no failed request accounts for count as `missing_id`.
+      const groupFailures = (ids) => {
+        const groups = Object.fromEntries(FAILURE_GROUPS.map((g) => [g, { count: 0, rowIds: [], samples: [] }]));
+        for (const id of ids) {
+          const f = failures.get(id) || { group: "missing_id", message: "id not returned" };
+          const g = groups[f.group];
+          g.count++; g.rowIds.push(id);
+          if (g.samples.length < 5) g.samples.push({ id, batchId: f.batchId || null, chunk: f.chunk ?? null, message: f.message });
+        }
+        return groups;
+      };
+
+      const resultColSet = new Set();
+      for (const cols of idToCols.values()) for (const k of Object.keys(cols)) resultColSet.add(k);
+
+      const inputSpec = inputSpecFromFields(meta);
+      const requiredCols = meta.targetCols?.length ? meta.targetCols : parseOutputCols(meta.outputCols).map(c => c.name);
+
+      // Headers are known from the first row. Result columns that already exist in the CSV (e.g. a target column)
+      // are filled in place, not added twice; `resultHeaders` are the columns results were written to, for
+      // downloads of just the new data.
+      let headers = null; let resultHeaders = null;
+      const start = async (originalHeaders) => {
+        const dynamicHeaders = Array.from(resultColSet).filter(h => !originalHeaders.includes(h));
+        headers = [...originalHeaders, ...dynamicHeaders];
+        resultHeaders = headers.filter((h) => resultColSet.has(h) || requiredCols.includes(h));
+        if (withProvenance) { headers = [...headers, ...PROVENANCE_HEADERS]; resultHeaders = [...resultHeaders, ...PROVENANCE_HEADERS]; }
+        await sink.start?.(headers, resultHeaders);
+      };
+
+      const missingIds = [];
+      let rowCount = 0;
+      for await (const orig of originalRows) {
+        const idx = rowCount++;
+        if (!headers) await start(Object.keys(orig));
+        const row = { ...orig };
+        const cols = idToCols.get(idx) || {};
+        for (const [k, v] of Object.entries(cols)) if (v !== undefined && v !== null && String(v).trim() !== "") row[k] = String(v);
+
+        if (!isSkipped(orig, inputSpec) && buildItem(orig, idx, inputSpec)) {
+          // Check the MERGED row to see if every required column is populated
+          const isMissing = requiredCols.length > 0
+            ? requiredCols.some(c => !row[c] || String(row[c]).trim() === "")
+            : (!idToCols.has(idx) || Object.keys(cols).length === 0);
+          if (isMissing) missingIds.push(idx);
+        }
+        if (withProvenance) {
+          const p = provenance.get(idx);
+          Object.assign(row, { _batch: p ? (p.batchId || "direct") : "", _chunk: p?.chunk ?? "", _repaired: p ? (p.repaired ? "1" : "0") : "" });
+        }
+        await sink.row?.(row, idx);
+      }
+      if (!headers) await start([]);
+      await sink.end?.();
+
+      return { headers, resultHeaders, rowCount, missingIds, typeViolations, failureGroups: groupFailures(missingIds), idMismatches, usageSources: [...usageSources.values()], provenance: (idx) => provenance.get(idx) || null };
+    },
+  };
+}
+
+async function fileText(client, fileId) {
+  const resp = await client.files.content(fileId).catch(() => null);
+  return resp ? Buffer.from(await resp.arrayBuffer()).toString("utf8") : "";
+}
+
+// Downloads and merges every batch's output and error files, in the order given. Request rows come from the job's
+// chunk manifest, or from each batch's input file for jobs without one. Batches with neither output nor errors are skipped.
+// `rows`, `sink` and `withProvenance` are passed to finish().
+async function mergeBatches({ client, store, meta, batchIds, rows, sink, withProvenance }) {
+  const merger = createMerger(meta);
+  const manifest = meta.jobId ? await store.get(`manifests/${meta.jobId}.json`, { type: "json" }).catch(() => null) : null;
+  if (manifest) merger.addManifest(manifest);
+  for (const bId of batchIds) {
+    const b = await client.batches.retrieve(bId).catch(() => null);
+    if (!b || (!b.output_file_id && !b.error_file_id)) continue;
+    const bMeta = await store.get(`jobs/${bId}.json`, { type: "json" }).catch(() => null);
+    const isRepair = Boolean(bMeta?.isRepair);
+    if (b.input_file_id && !merger.hasRequestRows(bId)) { const text = await fileText(client, b.input_file_id); if (text) merger.addBatchInput(text, { batchId: bId }); }
+    if (b.output_file_id) merger.addBatchOutput(await fileText(client, b.output_file_id), { batchId: bId, isRepair });
+    if (b.error_file_id) merger.addBatchOutput(await fileText(client, b.error_file_id), { batchId: bId, isRepair });
+  }
+  return merger.finish(rows, { sink, withProvenance });
+}
+
+module.exports = { FAILURE_GROUPS, jobCsvRows, ensureUtf8Bom, flattenNewlines, csvCells, tryParseJsonWithRepairs, parseOutputText, extractOutputJsonText, createMerger, mergeBatches };
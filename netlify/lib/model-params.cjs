@@ -0,0 +1,54 @@
+// netlify/lib/model-params.cjs
+// Optional Responses API parameters (reasoning effort, verbosity, temperature, ...):
+// parsed from the submit form, checked against what the model accepts, and applied to request bodies.
+
+// Per-model capabilities, shared with the UI (src/App.jsx) so it only offers what the server accepts.
+// First matching prefix wins, so more specific families come first.
+const { models: MODEL_CAPS, default: DEFAULT_CAPS } = require("./model-caps.json");
+const SERVICE_TIERS = ["auto", "default", "flex", "priority"];
+
+function capsFor(model) { return MODEL_CAPS.find((c) => String(model || "").startsWith(c.prefix)) || DEFAULT_CAPS; }
+
+// Only set parameters are kept, so "model default" never reaches the API.
+function modelParamsFromFields(fields = {}) {
+  const params = {};
+  if (fields.reasoning_effort) params.reasoningEffort = String(fields.reasoning_effort);
+  if (fields.verbosity) params.verbosity = String(fields.verbosity);
+  if (fields.temperature !== undefined && fields.temperature !== "") params.temperature = Number(fields.temperature);
+  if (fields.max_output_tokens) params.maxOutputTokens = Number(fields.max_output_tokens);
+  if (fields.service_tier) params.serviceTier = String(fields.service_tier);
+  return params;
+}
+
+// Returns a user-facing error for the first unsupported parameter, or null.
+function validateModelParams(model, params = {}, { batch = false } = {}) {
+  const caps = capsFor(model);
+  if (params.reasoningEffort && !caps.reasoningEfforts.includes(params.reasoningEffort)) {
+    return caps.reasoningEfforts.length
+      ? `${model} does not support reasoning_effort '${params.reasoningEffort}' (allowed: ${caps.reasoningEfforts.join(", ")})`
+      : `${model} does not support reasoning_effort`;
+  }
+  if (params.verbosity && !caps.verbosities.includes(params.verbosity)) return `${model} does not support verbosity '${params.verbosity}' (allowed: ${caps.verbosities.join(", ")})`;
+  if (params.temperature !== undefined) {
+    if (!caps.temperature) return `${model} does not support temperature`;
+    if (!Number.isFinite(params.temperature) || params.temperature < 0 || params.temperature > 2) return "temperature must be between 0 and 2";
+  }
+  if (params.maxOutputTokens !== undefined && (!Number.isInteger(params.maxOutputTokens) || params.maxOutputTokens < 1)) return "max_output_tokens must be a positive integer";
+  if (params.serviceTier) {
+    if (!SERVICE_TIERS.includes(params.serviceTier)) return `Unknown service_tier '${params.serviceTier}'`;
+    if (params.serviceTier === "flex" && !caps.flex) return `${model} does not support the flex service tier`;
+    if (batch && !["auto", "default"].includes(params.serviceTier)) return `service_tier '${params.serviceTier}' is not available in Batch mode`;
+  }
+  return null;
+}
+
+function applyModelParams(body, params = {}) {
+  if (params.reasoningEffort) body.reasoning = { effort: params.reasoningEffort };
+  if (params.verbosity) body.text = { ...(body.text || {}), verbosity: params.verbosity };
+  if (params.temperature !== undefined) body.temperature = params.temperature;
+  if (params.maxOutputTokens !== undefined) body.max_output_tokens = params.maxOutputTokens;
+  if (params.serviceTier) body.service_tier = params.serviceTier;
+  return body;
+}
+
+module.exports = { MODEL_CAPS, SERVICE_TIERS, capsFor, modelParamsFromFields, validateModelParams, applyModelParams };
@@ -0,0 +1,20 @@
+// netlify/lib/multipart.cjs
+// Reads the multipart/form-data body of a Lambda-style event, for the functions that take a form with a file
+// (batch-create, batch-estimate, input-inspect). Files too large for a request come through lib/uploads.cjs instead.
+
+const Busboy = require("busboy");
+
+// { fields, fileName, fileBuffer }: every text field by name, and the file part (null when none was sent).
+function parseMultipartEvent(event) {
+  return new Promise((resolve, reject) => {
+    const bb = Busboy({ headers: { "content-type": event.headers["content-type"] || event.headers["Content-Type"] || "" } });
+    const fields = {}; let fileBuffers = []; let fileName = "";
+    bb.on("file", (_name, file, info) => { fileName = info?.filename || fileName; file.on("data", (d) => fileBuffers.push(d)); });
+    bb.on("field", (name, val) => (fields[name] = val));
+    bb.on("error", reject);
+    bb.on("finish", () => resolve({ fields, fileName, fileBuffer: fileBuffers.length ? Buffer.concat(fileBuffers) : null }));
+    bb.end(event.isBase64Encoded ? Buffer.from(event.body || "", "base64") : Buffer.from(event.body || ""));
+  });
+}
+
+module.exports = { parseMultipartEvent };
@@ -0,0 +1,107 @@
+// netlify/lib/output-format.cjs
+// Serialises merged results for the download endpoints in the format asked for in the query:
+//   format=csv|xlsx|jsonl|json   (default csv)
+//   newlines=flatten|keep|escape (CSV only, default flatten: see csvCells)
+//   columns=all|new              (default all: original row plus results; new: an `id` column plus result columns)
+// The `id` is the row id used in requests and in the analysis (0-based row index of the input).
+// Rows are written to a temp file as they are merged (see outputSink), so no download is rendered in memory.
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const { once } = require("node:events");
+const { stringify: csvStringify } = require("csv-stringify/sync");
+const { csvCells } = require("./merge.cjs");
+const { contentTypeFor } = require("./downloads.cjs");
+
+const OUTPUT_FORMATS = ["csv", "xlsx", "jsonl", "json"];
+const NEWLINE_MODES = ["flatten", "keep", "escape"];
+const COLUMN_MODES = ["all", "new"];
+// Rows serialised per write
+const FLUSH_ROWS = 1000;
+
+// Throws with a user-facing message on bad values.
+function outputOptionsFromQuery(params) {
+  const get = (name, allowed) => {
+    const v = String(params?.get(name) || "").trim().toLowerCase() || allowed[0];
+    if (!allowed.includes(v)) throw new Error(`${name} must be one of: ${allowed.join(", ")}`);
+    return v;
+  };
+  return { format: get("format", OUTPUT_FORMATS), newlines: get("newlines", NEWLINE_MODES), columns: get("columns", COLUMN_MODES) };
+}
+
+// The stored direct-mode result CSV (results/<jobId>.csv) keeps every value as merged, multi-line cells included.
+// A download asking for exactly these options is served from it; any other is rendered from the partials.
+const STORED_RESULT_OUTPUT = { format: "csv", newlines: "keep", columns: "all" };
+function isStoredResultOutput({ format, newlines, columns }) {
+  return format === STORED_RESULT_OUTPUT.format && newlines === STORED_RESULT_OUTPUT.newlines && columns === STORED_RESULT_OUTPUT.columns;
+}
+
+// Writes rows to a temp file in `format` (CSV with a UTF-8 BOM, xlsx, jsonl or json), every row with every header
+// in header order: { path, start(headers), row(row), end() }. The caller removes the file.
+function rowFileWriter(format, { newlines = "flatten" } = {}) {
+  const filePath = path.join(os.tmpdir(), `rows-${crypto.randomUUID()}.${format}`);
+  let headers = []; let pending = []; let out = null; let wb = null; let ws = null; let written = 0;
+  const write = async (text) => { if (!out.write(text)) await once(out, "drain"); };
+  const flush = async () => {
+    const rows = pending; pending = [];
+    if (format === "xlsx") { for (const r of rows) ws.addRow(headers.map((h) => r[h] ?? "")).commit(); return; }
+    if (!rows.length) return;
+    if (format === "csv") return write(csvStringify(rows.map((r) => csvCells(r, newlines)), { columns: headers }));
+    const lines = rows.map((r) => JSON.stringify(Object.fromEntries(headers.map((h) => [h, r[h] ?? ""]))));
+    if (format === "jsonl") return write(lines.join("\n") + "\n");
+    await write((written ? "," : "") + lines.join(","));
+    written += lines.length;
+  };
+  return {
+    path: filePath,
+    async start(h) {
+      headers = h;
+      if (format === "xlsx") {
+        const ExcelJS = require("exceljs");
+        wb = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filePath });
+        ws = wb.addWorksheet("Results");
+        ws.addRow(headers).commit();
+        return;
+      }
+      out = fs.createWriteStream(filePath);
+      if (format === "csv") await write("\uFEFF" + csvStringify([headers]));
+      else if (format === "json") await write("[");
+    },
+    async row(r) { pending.push(r); if (pending.length >= FLUSH_ROWS) await flush(); },
+    async end() {
+      await flush();
+      if (format === "xlsx") { ws.commit(); await wb.commit(); return; }
+      if (format === "json") await write("]");
+      out.end(); await once(out, "finish");
+    },
+  };
+}
+
+// A finish() sink (see createMerger in lib/merge.cjs) that writes the merged rows in the requested output.
+// After finish(), `output()` is { path, fileName, headers } for outputResponse. `baseName` is the download
+// file name without extension.
+function outputSink(options, baseName) {
+  const { format, newlines, columns } = options;
+  const writer = rowFileWriter(format, { newlines });
+  const fileName = `${baseName}.${format}`;
+  let idCol = null; let resultHeaders = [];
+  return {
+    start(headers, resultH) {
+      if (columns !== "new") return writer.start(headers);
+      resultHeaders = resultH || [];
+      idCol = resultHeaders.includes("id") ? "_id" : "id";
+      return writer.start([idCol, ...resultHeaders]);
+    },
+    row(row, idx) {
+      return writer.row(idCol ? Object.fromEntries([[idCol, idx], ...resultHeaders.map((h) => [h, row[h] ?? ""])]) : row);
+    },
+    end() { return writer.end(); },
+    output() {
+      return { path: writer.path, fileName, headers: { "Content-Type": contentTypeFor(fileName), "Content-Disposition": `attachment; filename="${fileName}"` } };
+    },
+  };
+}
+
+module.exports = { OUTPUT_FORMATS, NEWLINE_MODES, COLUMN_MODES, STORED_RESULT_OUTPUT, outputOptionsFromQuery, isStoredResultOutput, rowFileWriter, outputSink };
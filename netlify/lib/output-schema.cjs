@@ -0,0 +1,80 @@
+// netlify/lib/output-schema.cjs
+// Output column definitions -> strict `json_schema` response formats, plus the
+// matching value checks used when results are merged back onto rows.
+
+const { parseList } = require("./rows.cjs");
+
+const OUTPUT_TYPES = ["string", "number", "boolean", "enum"];
+
+// Accepts the form field (JSON string) or the stored array. Throws on bad definitions.
+function parseOutputCols(raw) {
+  if (!raw) return [];
+  const list = typeof raw === "string" ? JSON.parse(raw) : raw;
+  if (!Array.isArray(list)) throw new Error("outputCols must be an array");
+  const seen = new Set();
+  return list.filter((c) => String(c?.name || "").trim()).map((c) => {
+    const name = String(c.name).trim();
+    const type = c.type || "string";
+    if (!OUTPUT_TYPES.includes(type)) throw new Error(`Output column '${name}' has unknown type '${type}'`);
+    if (seen.has(name)) throw new Error(`Output column '${name}' is defined twice`);
+    seen.add(name);
+    if (type !== "enum") return { name, type };
+    const values = parseList(c.values);
+    if (!values.length) throw new Error(`Output column '${name}' is an enum without values`);
+    return { name, type, values };
+  });
+}
+
+// Columns one request must return: the single target column in multi-column mode,
+// every output column otherwise, or null for the legacy free-text `result`.
+function requestColumns(meta, targetCol) {
+  const outputCols = parseOutputCols(meta.outputCols);
+  if (targetCol) return [outputCols.find((c) => c.name === targetCol) || { name: targetCol, type: "string" }];
+  return outputCols.length ? outputCols : null;
+}
+
+// Every column a merged row can carry, keyed by name, for value checks.
+function columnSpecs(meta) {
+  const specs = new Map([["result", { name: "result", type: "string" }]]);
+  for (const c of parseOutputCols(meta.outputCols)) specs.set(c.name, c);
+  for (const t of meta.targetCols || []) if (!specs.has(t)) specs.set(t, { name: t, type: "string" });
+  return specs;
+}
+
+function valueSchema(col) {
+  if (col.type === "enum") return { type: "string", enum: col.values };
+  return { type: col.type };
+}
+
+function buildResponseFormat(cols) {
+  const item = cols
+    ? { type: "object", additionalProperties: false, required: ["id", "cols"], properties: {
+        id: { type: "integer" },
+        cols: { type: "object", additionalProperties: false, required: cols.map((c) => c.name), properties: Object.fromEntries(cols.map((c) => [c.name, valueSchema(c)])) },
+      } }
+    : { type: "object", additionalProperties: false, required: ["id", "result"], properties: { id: { type: "integer" }, result: { type: "string" } } };
+  return {
+    type: "json_schema",
+    name: "row_results",
+    strict: true,
+    schema: { type: "object", additionalProperties: false, required: ["results"], properties: { results: { type: "array", items: item } } },
+  };
+}
+
+// Prompt-side description of one result item, e.g. {"id":number,"cols":{"French":string}}.
+function describeResultShape(cols) {
+  if (!cols) return '{"id":number,"result":string}';
+  const typeName = (c) => (c.type === "enum" ? c.values.map((v) => JSON.stringify(v)).join("|") : c.type);
+  return `{"id":number,"cols":{${cols.map((c) => `${JSON.stringify(c.name)}:${typeName(c)}`).join(",")}}}`;
+}
+
+// Returns null when the value satisfies the column, else a short reason.
+function checkValue(value, col) {
+  if (!col) return null;
+  if (col.type === "string") return typeof value === "string" ? null : `expected string, got ${typeof value}`;
+  if (col.type === "number") return typeof value === "number" && Number.isFinite(value) ? null : `expected number, got ${JSON.stringify(value)}`;
+  if (col.type === "boolean") return typeof value === "boolean" ? null : `expected boolean, got ${JSON.stringify(value)}`;
+  return col.values.includes(value) ? null : `expected one of ${col.values.join("|")}, got ${JSON.stringify(value)}`;
+}
+
+module.exports = { OUTPUT_TYPES, parseOutputCols, requestColumns, columnSpecs, buildResponseFormat, describeResultShape, checkValue };
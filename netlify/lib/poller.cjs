@@ -0,0 +1,46 @@
+// netlify/lib/poller.cjs
+// Server-side polling of batch jobs, so status (and notifications) advance without a browser tab open.
+// Jobs come from the active/ index; a job is polled while it is in flight, and once more after it finishes
+// if its webhook has not been delivered for that outcome yet.
+
+const { TERMINAL_JOB_STATES, resolveJobMeta, retrieveBatches, summarizeBatches, batchEntries, syncJobIndexStatus, writeJobIndex, notifyKey } = require("./jobs.cjs");
+const { MAX_WEBHOOK_ATTEMPTS, jobSummary, deliverWebhook } = require("./webhook.cjs");
+
+function needsPoll(entry) {
+  if (entry?.mode !== "batch") return false;
+  if (!TERMINAL_JOB_STATES.includes(entry.status)) return true;
+  return Boolean(entry.webhook) && entry.webhookSentFor !== notifyKey(entry.status, entry.batchIds || []);
+}
+
+// entry: the job's index entry; clientFor(meta) resolves to an OpenAI client with the job's key.
+// Returns { jobId, state, webhook? }.
+async function pollJob({ clientFor, store, entry }) {
+  const { jobId } = entry;
+  const meta = await resolveJobMeta(store, jobId);
+  if (!meta?.batchIds?.length) return { jobId, skipped: "no batch meta" };
+
+  const batches = await retrieveBatches(await clientFor(meta), batchEntries(meta));
+  const summary = summarizeBatches(batches);
+  const batchIds = batches.map((b) => b.batchId);
+  const out = { jobId, state: summary.state };
+  if (summary.state === "unknown") return out;
+  await syncJobIndexStatus(store, jobId, summary.state, { batchIds, request_counts: summary.request_counts });
+
+  if (!meta.webhookUrl || !TERMINAL_JOB_STATES.includes(summary.state)) return out;
+  // An auto-repairing job is only done once the repair loop stops
+  if (meta.autoRepair && !meta.autoRepairState?.stopped) return out;
+  const key = notifyKey(summary.state, batchIds);
+  if (entry.webhookSentFor === key) return out;
+
+  const costReport = await store.get(`reports/${jobId}.json`, { type: "json" }).catch(() => null);
+  const delivery = await deliverWebhook(meta.webhookUrl, jobSummary(meta, batches, summary, { costReport }));
+  const attempts = (entry.webhookAttempts || 0) + 1;
+  if (delivery.ok || attempts >= MAX_WEBHOOK_ATTEMPTS) {
+    await writeJobIndex(store, jobId, { webhookSentFor: key, webhookAttempts: 0, webhookLastAt: new Date().toISOString(), webhookError: delivery.ok ? null : delivery.error });
+  } else {
+    await writeJobIndex(store, jobId, { webhookAttempts: attempts, webhookError: delivery.error });
+  }
+  return { ...out, webhook: delivery };
+}
+
+module.exports = { needsPoll, pollJob };
@@ -0,0 +1,44 @@
+// netlify/lib/pricing.cjs
+// Per-model token prices (USD per 1M tokens) and cost arithmetic shared by the estimator and usage reports.
+// Override or extend with MODEL_PRICES_JSON='{"gpt-x":{"input":1,"cachedInput":0.1,"output":4}}'.
+
+const DEFAULT_PRICES = {
+  "gpt-5.4": { input: 2.5, cachedInput: 0.25, output: 15 },
+  "gpt-5.4-mini": { input: 0.75, cachedInput: 0.075, output: 4.5 },
+  "gpt-5.4-nano": { input: 0.2, cachedInput: 0.02, output: 1.25 },
+  "gpt-5.3-chat-latest": { input: 1.75, cachedInput: 0.175, output: 14 },
+  "gpt-5": { input: 1.25, cachedInput: 0.125, output: 10 },
+  "gpt-5-mini": { input: 0.25, cachedInput: 0.025, output: 2 },
+  "gpt-5-nano": { input: 0.05, cachedInput: 0.005, output: 0.4 },
+  "gpt-4.1-mini": { input: 0.4, cachedInput: 0.1, output: 1.6 },
+};
+
+// The Batch API bills every token class at half the direct price.
+const BATCH_DISCOUNT = 0.5;
+
+function priceTable() {
+  try { return { ...DEFAULT_PRICES, ...JSON.parse(process.env.MODEL_PRICES_JSON || "{}") }; } catch { return DEFAULT_PRICES; }
+}
+
+// Exact model id first, then the longest known prefix (dated snapshots like gpt-5-mini-2025-08-07).
+function priceFor(model) {
+  const table = priceTable();
+  if (table[model]) return table[model];
+  const key = Object.keys(table).filter((k) => String(model || "").startsWith(k)).sort((a, b) => b.length - a.length)[0];
+  return key ? table[key] : null;
+}
+
+// usage: { inputTokens, cachedTokens, outputTokens } where cachedTokens is part of inputTokens
+// and reasoning tokens are already counted in outputTokens, as in the Responses API `usage` object.
+function costOf(usage, model, { batch = false } = {}) {
+  const price = priceFor(model);
+  if (!price) return null;
+  const cached = Number(usage.cachedTokens || 0);
+  const uncached = Math.max(0, Number(usage.inputTokens || 0) - cached);
+  const usd = (uncached * price.input + cached * price.cachedInput + Number(usage.outputTokens || 0) * price.output) / 1e6;
+  return batch ? usd * BATCH_DISCOUNT : usd;
+}
+
+function roundUsd(usd) { return usd == null ? null : Math.round(usd * 10000) / 10000; }
+
+module.exports = { BATCH_DISCOUNT, priceFor, costOf, roundUsd };
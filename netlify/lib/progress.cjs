@@ -0,0 +1,136 @@
+// netlify/lib/progress.cjs
+// Progress of a direct job, stored at jobs/<jobId>.status.json and read by direct-status and direct-events.
+//
+// The worker holding the job lock is the only writer. Counters live in memory and every write is a full
+// snapshot, written one at a time (changes made while a write is in flight go out in the next one),
+// so chunks finishing together can never overwrite each other's increments.
+// Cancelling writes jobs/<jobId>.cancel.json, which the writer checks instead of trusting the status blob;
+// pausing works the same way with jobs/<jobId>.pause.json, which resuming deletes again.
+//
+// Events carry an increasing `seq` so streaming clients can resume after the last one they saw.
+
+const { addModelUsage, spendSummary } = require("./usage.cjs");
+
+const MAX_EVENTS = 200;
+const MAX_FAILURES = 500;
+const FINAL_DIRECT_STATES = ["ready", "failed", "cancelled"];
+// States in which no worker runs
+const IDLE_DIRECT_STATES = [...FINAL_DIRECT_STATES, "paused"];
+
+const statusKey = (jobId) => `jobs/${jobId}.status.json`;
+const cancelKey = (jobId) => `jobs/${jobId}.cancel.json`;
+const pauseKey = (jobId) => `jobs/${jobId}.pause.json`;
+
+async function isCancelRequested(store, jobId) {
+  return Boolean(await store.get(cancelKey(jobId), { type: "json" }).catch(() => null));
+}
+
+async function requestCancel(store, jobId) {
+  await store.set(cancelKey(jobId), JSON.stringify({ ts: new Date().toISOString() }), { contentType: "application/json" });
+}
+
+async function isPauseRequested(store, jobId) {
+  return Boolean(await store.get(pauseKey(jobId), { type: "json" }).catch(() => null));
+}
+
+async function requestPause(store, jobId) {
+  await store.set(pauseKey(jobId), JSON.stringify({ ts: new Date().toISOString() }), { contentType: "application/json" });
+}
+
+async function clearPause(store, jobId) {
+  try { await store.delete(pauseKey(jobId)); } catch {}
+}
+
+// Status change made outside the worker; only safe while no worker holds the job lock.
+async function setStatusWithoutWorker(store, jobId, status, message) {
+  const prev = await store.get(statusKey(jobId), { type: "json" }).catch(() => null);
+  const seq = Number(prev?.seq || 0) + 1; const ts = new Date().toISOString();
+  const next = { ...prev, jobId, status, seq, updatedAt: ts, events: [...(prev?.events || []), { seq, ts, type: "status", msg: message }].slice(-MAX_EVENTS) };
+  await store.set(statusKey(jobId), JSON.stringify(next), { contentType: "application/json" });
+  return next;
+}
+
+// Seconds left at the current average chunk rate; null until a chunk has finished.
+function etaSeconds(p, now = Date.now()) {
+  const done = p.completedChunks + p.failedChunks;
+  if (!p.startedAt || !done || !p.totalChunks || done >= p.totalChunks) return done >= p.totalChunks && p.totalChunks ? 0 : null;
+  return Math.round(((now - Date.parse(p.startedAt)) / done) * (p.totalChunks - done) / 1000);
+}
+
+// prev: the stored status when the worker starts (its events, seq and invocation counts carry over;
+// the worker recomputes the chunk counters from the partials it finds).
+function createProgress(store, jobId, prev = null, { onStatusChange } = {}) {
+  const state = {
+    jobId, status: prev?.status || "queued", totalChunks: 0, concurrency: 0, completedChunks: 0, failedChunks: 0,
+    partial: false, failures: [], usageByModel: {}, startedAt: prev?.startedAt || null, seq: Number(prev?.seq || 0), events: Array.isArray(prev?.events) ? prev.events : [],
+    // A job may run as a chain of worker invocations; crash recoveries are counted separately
+    invocations: Number(prev?.invocations || 0), autoResumes: Number(prev?.autoResumes || 0),
+  };
+  let cancelled = prev?.status === "cancelled"; let lastWrittenStatus = prev?.status || null;
+  let dirty = false; let writing = null;
+
+  function event(type, msg, extra = {}) {
+    state.seq++;
+    state.events.push({ seq: state.seq, ts: new Date().toISOString(), type, msg, ...extra });
+    if (state.events.length > MAX_EVENTS) state.events = state.events.slice(-MAX_EVENTS);
+  }
+
+  async function writeOnce() {
+    if (!cancelled && await isCancelRequested(store, jobId)) cancelled = true;
+    if (cancelled && state.status !== "cancelled") { state.status = "cancelled"; event("status", "Job aborted by user."); }
+    const now = new Date().toISOString();
+    const payload = { ...state, updatedAt: now, etaSeconds: etaSeconds(state), spend: spendSummary(state.usageByModel) };
+    try { await store.set(statusKey(jobId), JSON.stringify(payload), { contentType: "application/json" }); } catch {}
+    if (payload.status !== lastWrittenStatus) { lastWrittenStatus = payload.status; await onStatusChange?.(payload.status); }
+  }
+
+  // Resolves once everything changed so far is stored.
+  function flush() {
+    dirty = true;
+    if (!writing) writing = (async () => { try { while (dirty) { dirty = false; await writeOnce(); } } finally { writing = null; } })();
+    return writing;
+  }
+
+  return {
+    get cancelled() { return cancelled; },
+    async checkCancelled() { if (!cancelled && await isCancelRequested(store, jobId)) { cancelled = true; flush(); } return cancelled; },
+    update(fields, message) {
+      // After a cancel only messages and counters change; the status stays cancelled
+      if (cancelled && fields.status) return flush();
+      if (fields.status === "running" && !state.startedAt) state.startedAt = new Date().toISOString();
+      Object.assign(state, fields);
+      if (message) event(fields.status && FINAL_DIRECT_STATES.includes(fields.status) ? "status" : "info", message);
+      return flush();
+    },
+    chunkDone(idx, { rows, model, usage }) {
+      state.completedChunks++; state.partial = true;
+      if (usage) state.usageByModel = addModelUsage(state.usageByModel, model, usage);
+      event("chunk", null, { idx, ok: true, rows });
+      return flush();
+    },
+    // A chunk that failed for good; it stays listed in the status with the rows it carried.
+    chunkFailed(idx, message, { rowIds = [], attempts = 1 } = {}) {
+      state.failedChunks++;
+      if (state.failures.length < MAX_FAILURES) state.failures.push({ chunk: idx, rowIds, attempts, error: message });
+      event("chunk", `chunk#${idx} err: ${message}`, { idx, ok: false, error: message, rowIds });
+      return flush();
+    },
+    chunkRetry(idx, attempt, delayMs, message) {
+      event("info", `chunk#${idx} retry ${attempt} in ${(delayMs / 1000).toFixed(1)}s: ${message}`, { idx });
+      return flush();
+    },
+    // One chunk replaced by two halves
+    chunkSplit(idx, sizes, message) {
+      state.totalChunks++;
+      event("info", `chunk#${idx} split into ${sizes.join(" + ")} rows after: ${message}`, { idx });
+      return flush();
+    },
+    snapshot() { return { ...state }; },
+    flush,
+  };
+}
+
+module.exports = {
+  FINAL_DIRECT_STATES, IDLE_DIRECT_STATES, statusKey, createProgress, isCancelRequested, requestCancel,
+  isPauseRequested, requestPause, clearPause, setStatusWithoutWorker, etaSeconds,
+};
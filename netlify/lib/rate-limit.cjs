@@ -0,0 +1,128 @@
+// netlify/lib/rate-limit.cjs
+// Adaptive rate limiting for direct-mode workers, driven by OpenAI's x-ratelimit-* response headers.
+//
+// - Before each request a worker acquires a slot: it waits while the key's remaining requests/tokens
+//   (its share of them) can't cover the request, until the reset time the headers gave.
+// - Concurrency adapts: halved on a 429, raised by one after a full round of successes, never above
+//   the job's configured concurrency.
+// - Jobs on the same API key share a budget: the latest header snapshot is kept at ratelimit/<keyId>.json
+//   (OpenAI's counters are per key, so the freshest observation wins) and every running job holds a lease
+//   under ratelimit/<keyId>/jobs/, so each job only spends remaining / active jobs.
+// keyId is a hash of the API key; the key itself is never stored.
+
+const crypto = require("node:crypto");
+const { headerOf } = require("./retry.cjs");
+
+const SHARED_REFRESH_MS = 2000;
+const LEASE_TTL_MS = 60 * 1000;
+const MAX_WAIT_MS = 5000;
+
+// "6m0s", "1.5s", "20ms", "1h2m3s" -> milliseconds; null when absent or unparseable.
+function parseResetDuration(value) {
+  if (value == null || value === "") return null;
+  const s = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Number(s) * 1000;
+  const units = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  let total = 0; let matched = "";
+  for (const [, n, unit] of s.matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)) { total += Number(n) * units[unit]; matched += `${n}${unit}`; }
+  return matched === s ? total : null;
+}
+
+// Remaining requests/tokens and absolute reset times from response (or error) headers; null if none are present.
+function rateLimitFromHeaders(headers, now = Date.now()) {
+  if (!headers) return null;
+  const h = (name) => headerOf({ headers }, name);
+  const num = (name) => { const v = h(name); return v == null || v === "" ? null : Number(v); };
+  const remainingRequests = num("x-ratelimit-remaining-requests");
+  const remainingTokens = num("x-ratelimit-remaining-tokens");
+  if (remainingRequests == null && remainingTokens == null) return null;
+  const at = (name) => { const ms = parseResetDuration(h(name)); return ms == null ? null : now + ms; };
+  return {
+    limitRequests: num("x-ratelimit-limit-requests"), limitTokens: num("x-ratelimit-limit-tokens"),
+    remainingRequests, remainingTokens,
+    requestsResetAt: at("x-ratelimit-reset-requests"), tokensResetAt: at("x-ratelimit-reset-tokens"),
+    observedAt: now,
+  };
+}
+
+function keyId(apiKey) {
+  return crypto.createHash("sha256").update(String(apiKey || "")).digest("hex").slice(0, 16);
+}
+
+function createRateLimiter({ store, apiKey, jobId, maxConcurrency, onConcurrencyChange, now = Date.now, sleep = (ms) => new Promise((r) => setTimeout(r, ms)) }) {
+  const id = keyId(apiKey);
+  const sharedKey = `ratelimit/${id}.json`;
+  const leaseKey = `ratelimit/${id}/jobs/${jobId}.json`;
+  let limits = null; let activeJobs = 1;
+  let allowed = maxConcurrency; let active = 0; let successes = 0;
+  let lastRefresh = -Infinity; let lastShare = -Infinity;
+
+  async function refreshShared() {
+    if (now() - lastRefresh < SHARED_REFRESH_MS) return;
+    lastRefresh = now();
+    try {
+      await store.set(leaseKey, JSON.stringify({ jobId, ts: new Date(now()).toISOString() }), { contentType: "application/json" });
+      const shared = await store.get(sharedKey, { type: "json" }).catch(() => null);
+      if (shared && (!limits || shared.observedAt > limits.observedAt)) limits = shared;
+      const { blobs } = await store.list({ prefix: `ratelimit/${id}/jobs/` });
+      const leases = await Promise.all(blobs.map((b) => store.get(b.key, { type: "json" }).catch(() => null)));
+      activeJobs = Math.max(1, leases.filter((l) => l?.ts && now() - Date.parse(l.ts) < LEASE_TTL_MS).length);
+    } catch {}
+  }
+
+  function setAllowed(n, reason) {
+    if (n === allowed) return;
+    const prev = allowed; allowed = n;
+    onConcurrencyChange?.(allowed, prev, reason);
+  }
+
+  // This job's share of what is left until the reset; Infinity when unknown or already reset.
+  function share(remaining, resetAt) {
+    if (remaining == null || resetAt == null || now() >= resetAt) return Infinity;
+    return remaining / activeJobs;
+  }
+
+  return {
+    // Waits for a slot that can carry `estTokens`; returns release({ rateLimited }) to call exactly once.
+    async acquire(estTokens = 0) {
+      for (;;) {
+        await refreshShared();
+        const tokensLeft = share(limits?.remainingTokens, limits?.tokensResetAt);
+        const requestsLeft = share(limits?.remainingRequests, limits?.requestsResetAt);
+        // A request larger than the whole share still goes out once the window has reset
+        const fits = estTokens <= tokensLeft || tokensLeft === Infinity;
+        if (active < allowed && fits && requestsLeft >= 1) {
+          active++;
+          if (limits?.remainingTokens != null) limits.remainingTokens -= estTokens;
+          if (limits?.remainingRequests != null) limits.remainingRequests -= 1;
+          let released = false;
+          return ({ rateLimited = false } = {}) => {
+            if (released) return; released = true; active--;
+            if (rateLimited) { successes = 0; setAllowed(Math.max(1, Math.floor(allowed / 2)), "rate limited"); }
+            else if (++successes >= allowed) { successes = 0; setAllowed(Math.min(maxConcurrency, allowed + 1), "recovering"); }
+          };
+        }
+        const resetAt = !fits ? limits.tokensResetAt : requestsLeft < 1 ? limits.requestsResetAt : null;
+        await sleep(resetAt ? Math.max(50, Math.min(resetAt - now(), MAX_WAIT_MS)) : 100);
+      }
+    },
+
+    // Headers from a response or an API error; shares them with other jobs on the key (at most once a second).
+    async observe(headers) {
+      const seen = rateLimitFromHeaders(headers, now());
+      if (!seen) return;
+      limits = seen;
+      if (now() - lastShare < 1000) return;
+      lastShare = now();
+      try { await store.set(sharedKey, JSON.stringify(seen), { contentType: "application/json" }); } catch {}
+    },
+
+    snapshot() {
+      return { concurrency: allowed, activeJobs, remainingRequests: limits?.remainingRequests ?? null, remainingTokens: limits?.remainingTokens ?? null };
+    },
+
+    async stop() { try { await store.delete(leaseKey); } catch {} },
+  };
+}
+
+module.exports = { parseResetDuration, rateLimitFromHeaders, keyId, createRateLimiter };
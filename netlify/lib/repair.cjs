@@ -0,0 +1,84 @@
+// netlify/lib/repair.cjs
+// Repair submission (resubmit selected rows as new batches of the same job) and the opt-in auto-repair policy.
+// Used by batch-repair (manual) and the scheduled auto-repair function.
+
+const { inputSpecFromFields, buildItem } = require("./rows.cjs");
+const { buildRequestBody, planChunks } = require("./job-spec.cjs");
+const { validateModelParams } = require("./model-params.cjs");
+const { splitBatchLines } = require("./batch-split.cjs");
+const { recordBatches, writeJobIndex } = require("./jobs.cjs");
+const { customIdFor, manifestEntry, loadManifest, appendManifest } = require("./manifest.cjs");
+
+const DEFAULT_AUTO_REPAIR_ROUNDS = 3;
+// Rounds from which the fallback model (if any) replaces the job's model.
+const DEFAULT_FALLBACK_FROM_ROUND = 2;
+
+// Repair items for the given CSV row ids, in row order, picked from `rows` (an array or any async iterable such as
+// jobCsvRows) as they are read; rows without input are dropped.
+async function repairItemsFor(meta, rows, missingIds) {
+  const inputSpec = inputSpecFromFields(meta);
+  const wanted = new Set(missingIds.map(Number));
+  const items = []; let idx = 0;
+  for await (const row of rows) {
+    const id = idx++;
+    const item = wanted.has(id) ? buildItem(row, id, inputSpec) : null;
+    if (item) items.push(item);
+  }
+  return items;
+}
+
+// meta: the job's (or its primary batch's) meta; items: from repairItemsFor. Returns { error } for input the caller
+// should report as a 400, otherwise { round, newBatches, jobMeta }. `model` overrides the job's model for this round.
+async function submitRepair({ client, toFile, store, meta, items: repairItems, model = meta.model, label = meta.batchId || meta.jobId }) {
+  if (!repairItems.length) return { error: "Could not extract valid input for the missing rows." };
+  if (model !== meta.model) {
+    const paramError = validateModelParams(model, meta.modelParams, { batch: true });
+    if (paramError) return { error: `Fallback model: ${paramError}` };
+  }
+
+  // Construct JSONL for the repair batch, reproducing the multi-column chunking structure.
+  // Each repair is a new manifest round, so its custom_ids never collide with earlier ones.
+  const round = Math.max(1, (await loadManifest(store, meta.jobId))?.rounds || 0);
+  const requests = planChunks(repairItems, meta).map((chunk) => {
+    const body = buildRequestBody(meta, chunk.rows, { targetCol: chunk.targetCol, model });
+    const customId = customIdFor(chunk, round);
+    return { chunk, customId, body, line: JSON.stringify({ custom_id: customId, method: "POST", url: "/v1/responses", body }) };
+  });
+  let groups;
+  try { groups = splitBatchLines(requests); } catch (e) { return { error: e.message }; }
+
+  const newBatches = [];
+  for (let part = 0; part < groups.length; part++) {
+    const g = groups[part];
+    const name = groups.length > 1 ? `repair_${label}.part${part + 1}.jsonl` : `repair_${label}.jsonl`;
+    const jsonlFile = await client.files.create({ file: await toFile(Buffer.from(g.lines.join("\n"), "utf8"), name, { type: "application/jsonl" }), purpose: "batch" });
+    const batch = await client.batches.create({ input_file_id: jsonlFile.id, endpoint: "/v1/responses", completion_window: "24h" });
+
+    // Save the new batch meta, preserving the original jobId so it still references the correct CSV!
+    await store.set(`jobs/${batch.id}.json`, JSON.stringify({ ...meta, batchIds: undefined, batches: undefined, autoRepair: undefined, autoRepairState: undefined, webhookUrl: undefined, batchId: batch.id, part, model, isRepair: true, round, createdAt: new Date().toISOString() }), { contentType: "application/json" });
+    newBatches.push({ batchId: batch.id, part, isRepair: true, round, model, requests: g.requests, bytes: g.bytes, estTokens: g.tokens });
+    await appendManifest(store, meta.jobId, Object.fromEntries(g.items.map((r) => [r.customId, manifestEntry(r.chunk, { batchId: batch.id, round })])), { round });
+  }
+  const jobMeta = await recordBatches(store, meta.jobId, newBatches);
+  if (jobMeta) await writeJobIndex(store, meta.jobId, { batchIds: jobMeta.batchIds, status: "submitted" });
+  return { round, newBatches, jobMeta };
+}
+
+// Auto-repair policy from form fields; null when not enabled. Throws with a user-facing message on bad values.
+function autoRepairFromFields(fields = {}) {
+  if (String(fields.autoRepair || "") !== "1") return null;
+  const maxRounds = Number(fields.autoRepairMaxRounds || DEFAULT_AUTO_REPAIR_ROUNDS);
+  const maxCostUsd = fields.autoRepairMaxCost === undefined || fields.autoRepairMaxCost === "" ? null : Number(fields.autoRepairMaxCost);
+  if (!Number.isInteger(maxRounds) || maxRounds < 1) throw new Error("Auto-repair max rounds must be a positive integer");
+  if (maxCostUsd !== null && !(maxCostUsd >= 0)) throw new Error("Auto-repair max extra cost must be a non-negative number");
+  const fallbackModel = String(fields.autoRepairFallbackModel || "").trim() || null;
+  const fallbackFromRound = Number(fields.autoRepairFallbackFromRound || DEFAULT_FALLBACK_FROM_ROUND);
+  return { maxRounds, maxCostUsd, fallbackModel, fallbackFromRound };
+}
+
+function modelForRound(meta, round) {
+  const p = meta.autoRepair;
+  return p?.fallbackModel && round >= (p.fallbackFromRound || DEFAULT_FALLBACK_FROM_ROUND) ? p.fallbackModel : meta.model;
+}
+
+module.exports = { repairItemsFor, submitRepair, autoRepairFromFields, modelForRound };
@@ -0,0 +1,97 @@
+// netlify/lib/retry.cjs
+// Per-chunk retries for direct mode: exponential backoff with jitter, honouring Retry-After, and halving
+// a chunk that still fails so one bad row cannot take the rest of its chunk down with it.
+// Defaults: DIRECT_MAX_RETRIES (3), DIRECT_RETRY_BASE_MS (1000), DIRECT_RETRY_MAX_MS (60000);
+// a job's `maxRetries` (form field) overrides the retry count.
+
+const DEFAULT_MAX_RETRIES = 3;
+const MAX_RETRIES_LIMIT = 10;
+
+function retryPolicy(meta = {}, env = process.env) {
+  return {
+    maxRetries: Number(meta.maxRetries ?? env.DIRECT_MAX_RETRIES ?? DEFAULT_MAX_RETRIES),
+    baseDelayMs: Number(env.DIRECT_RETRY_BASE_MS || 1000),
+    maxDelayMs: Number(env.DIRECT_RETRY_MAX_MS || 60000),
+  };
+}
+
+// `maxRetries` form field; undefined when not given. Throws with a user-facing message on bad values.
+function maxRetriesFromFields(fields = {}) {
+  if (fields.maxRetries === undefined || fields.maxRetries === "") return undefined;
+  const n = Number(fields.maxRetries);
+  if (!Number.isInteger(n) || n < 0 || n > MAX_RETRIES_LIMIT) throw new Error(`Retries per chunk must be an integer from 0 to ${MAX_RETRIES_LIMIT}`);
+  return n;
+}
+
+// Output that came back but cannot be used; worth asking again.
+class ChunkOutputError extends Error {
+  constructor(message, { retryable = true } = {}) { super(message); this.name = "ChunkOutputError"; this.retryable = retryable; }
+}
+
+function headerOf(err, name) {
+  const h = err?.headers;
+  return typeof h?.get === "function" ? h.get(name) : h?.[name] ?? null;
+}
+
+// Server-requested delay in ms (retry-after-ms, then Retry-After as seconds or an HTTP date), or null.
+function retryAfterMs(err) {
+  const ms = Number(headerOf(err, "retry-after-ms"));
+  if (ms > 0) return ms;
+  const ra = headerOf(err, "retry-after");
+  if (ra == null) return null;
+  const secs = Number(ra);
+  if (!Number.isNaN(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(ra);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Rate limits, timeouts, server errors and dropped connections are retried; other 4xx are not.
+function isRetryable(err) {
+  if (typeof err?.retryable === "boolean") return err.retryable;
+  const status = Number(err?.status || 0);
+  if (!status) return true;
+  return status === 408 || status === 409 || status === 429 || status >= 500;
+}
+
+// Request errors a smaller chunk can fix: the input is too long.
+const CONTENT_ERROR_CODES = ["context_length_exceeded", "string_above_max_length"];
+
+// Errors that no retry or smaller chunk can fix, so every other chunk would fail the same way: bad key, no access,
+// unknown model, or a request the API rejects (400/422 invalid_request_error) for anything but its length.
+function isFatal(err) {
+  const status = Number(err?.status || 0);
+  if ([401, 403, 404].includes(status)) return true;
+  if (status !== 400 && status !== 422) return false;
+  const code = err?.code || err?.error?.code;
+  return !CONTENT_ERROR_CODES.includes(code) && !/context length|too long|too many tokens/i.test(err?.message || "");
+}
+
+// Delay before retry number `attempt` (1-based): Retry-After when given, else base * 2^(attempt-1) with full jitter.
+function backoffMs(attempt, policy, err, random = Math.random) {
+  const requested = retryAfterMs(err);
+  if (requested != null) return Math.min(requested, policy.maxDelayMs);
+  return Math.round(random() * Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1)));
+}
+
+// Runs fn until it succeeds, the error is not retryable, or retries run out (then rethrows with `attempts` set).
+async function withRetries(fn, policy, { onRetry, shouldStop, sleep = (ms) => new Promise((r) => setTimeout(r, ms)) } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      if (!isRetryable(e) || attempt >= policy.maxRetries || (await shouldStop?.())) { e.attempts = attempt + 1; throw e; }
+      const delay = backoffMs(attempt + 1, policy, e);
+      await onRetry?.(attempt + 1, delay, e);
+      await sleep(delay);
+    }
+  }
+}
+
+// Two halves of a chunk (same target column); null for a single-row chunk.
+function splitChunk(chunk) {
+  if (chunk.rows.length < 2) return null;
+  const mid = Math.ceil(chunk.rows.length / 2);
+  return [{ ...chunk, rows: chunk.rows.slice(0, mid) }, { ...chunk, rows: chunk.rows.slice(mid) }];
+}
+
+module.exports = { ChunkOutputError, headerOf, retryPolicy, maxRetriesFromFields, retryAfterMs, isRetryable, isFatal, backoffMs, withRetries, splitChunk };
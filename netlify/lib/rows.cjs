@@ -0,0 +1,102 @@
+// netlify/lib/rows.cjs
+// Turns parsed CSV rows into the `{ id, ... }` items sent to the model.
+// Shared by batch, direct, dry-run and repair so every mode builds rows the same way.
+
+const { Readable } = require("node:stream");
+const { parse: csvParse } = require("csv-parse");
+
+const TEMPLATE_VAR = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+function parseList(raw) {
+  return (Array.isArray(raw) ? raw : String(raw || "").split(",")).map((s) => String(s).trim()).filter(Boolean);
+}
+
+// Input spec from form fields (or stored meta). Older metas only carry `inputCol`.
+function inputSpecFromFields(fields = {}) {
+  const inputCols = parseList(fields.inputCols);
+  const inputTemplate = String(fields.inputTemplate || "");
+  let inputMode = fields.inputMode || "column";
+  if (inputMode === "template" && !inputTemplate.trim()) inputMode = "column";
+  if (inputMode === "columns" && !inputCols.length) inputMode = "column";
+  return { inputMode, inputCol: fields.inputCol || "text", inputTemplate, inputCols, skipCol: fields.skipCol || "" };
+}
+
+function templateColumns(template) {
+  const cols = new Set();
+  for (const m of String(template || "").matchAll(TEMPLATE_VAR)) cols.add(m[1]);
+  return Array.from(cols);
+}
+
+function inputColumns(spec) {
+  if (spec.inputMode === "template") return templateColumns(spec.inputTemplate);
+  if (spec.inputMode === "columns") return spec.inputCols;
+  return [spec.inputCol];
+}
+
+function missingHeaders(spec, headers) {
+  const have = new Set(headers || []);
+  return inputColumns(spec).filter((c) => !have.has(c));
+}
+
+function cell(row, col) { return String(row?.[col] ?? "").trim(); }
+
+// Returns the model-facing item for a row, or null when the row has no input.
+function buildItem(row, id, spec) {
+  if (spec.inputMode === "template") {
+    if (!templateColumns(spec.inputTemplate).some((c) => cell(row, c))) return null;
+    const text = spec.inputTemplate.replace(TEMPLATE_VAR, (_m, c) => cell(row, c)).trim();
+    return text ? { id, text } : null;
+  }
+  if (spec.inputMode === "columns") {
+    const fields = {};
+    for (const c of spec.inputCols) fields[c] = cell(row, c);
+    return Object.values(fields).some(Boolean) ? { id, fields } : null;
+  }
+  const text = cell(row, spec.inputCol);
+  return text ? { id, text } : null;
+}
+
+function isSkipped(row, spec) { return Boolean(spec.skipCol && cell(row, spec.skipCol)); }
+
+// `rows` is an array or any iterable (e.g. a generator), so the rows need not all be held at once.
+function collectItems(rows, spec) {
+  const items = []; let idx = 0;
+  for (const r of rows) {
+    const id = idx++;
+    if (isSkipped(r, spec)) continue;
+    const item = buildItem(r, id, spec);
+    if (item) items.push(item);
+  }
+  return items;
+}
+
+// A CSV's rows one at a time, as an async iterable of row objects, so large files parse in bounded memory.
+// `source` is a Buffer, a string or a Node readable; `onHeaders` receives the header row before the first row.
+function csvRows(source, { delimiter = ",", onHeaders } = {}) {
+  const input = Buffer.isBuffer(source) || typeof source === "string" ? Readable.from([source]) : source;
+  const parser = csvParse({ delimiter, columns: (header) => { onHeaders?.(header); return header; }, relax_quotes: true, bom: true, skip_empty_lines: true });
+  input.on("error", (e) => parser.destroy(e));
+  input.pipe(parser);
+  return parser;
+}
+
+// collectItems over rows read one at a time (e.g. csvRows); rows past maxRows (0 = all) are counted but not used.
+// Returns { rowCount, items }.
+async function streamItems(rows, spec, { maxRows = 0 } = {}) {
+  const items = []; let rowCount = 0;
+  for await (const row of rows) {
+    const idx = rowCount++;
+    if ((maxRows > 0 && idx >= maxRows) || isSkipped(row, spec)) continue;
+    const item = buildItem(row, idx, spec);
+    if (item) items.push(item);
+  }
+  return { rowCount, items };
+}
+
+// Describes one input item for the system prompt, e.g. {"id":number,"text":string}.
+function describeItemShape(spec) {
+  if (spec.inputMode !== "columns") return '{"id":number,"text":string}';
+  return `{"id":number,"fields":{${spec.inputCols.map((c) => `${JSON.stringify(c)}:string`).join(",")}}}`;
+}
+
+module.exports = { parseList, inputSpecFromFields, templateColumns, inputColumns, missingHeaders, buildItem, isSkipped, collectItems, csvRows, streamItems, describeItemShape };
@@ -0,0 +1,83 @@
+// netlify/lib/uploads.cjs
+// Resumable uploads for CSVs larger than the function request limit. upload-start hands out an id (it becomes
+// the job id), the file goes to upload-part in parts of `partSize` bytes, in any order and re-sendable, and
+// upload-complete joins them into csv/<id>.csv. batch-create and batch-estimate then take `uploadId`
+// instead of a file. Uploads are capped at MAX_UPLOAD_BYTES (100 MB by default); xlsx workbooks are still
+// parsed whole (see lib/input-format.cjs).
+//
+// An upload belongs to whoever started it, like a job (see canAccessJob in lib/auth.cjs); to anyone else it does not exist.
+//
+// uploads/<id>.json     { uploadId, fileName, size, partSize, parts, owner, createdAt, completedAt }
+// uploads/<id>/<part>   raw bytes of one part (deleted once joined)
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { Readable } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const { storeDownloadFile } = require("./downloads.cjs");
+const { canAccessJob } = require("./auth.cjs");
+
+const UPLOAD_PART_BYTES = Number(process.env.UPLOAD_PART_BYTES || 4 * 1024 * 1024);
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES || 100 * 1024 * 1024);
+
+const uploadKey = (id) => `uploads/${id}.json`;
+const partKey = (id, part) => `uploads/${id}/${String(part).padStart(6, "0")}`;
+
+// The upload, or null when it is missing or `user` may not use it.
+async function loadUpload(store, id, user) {
+  const upload = await store.get(uploadKey(id), { type: "json" }).catch(() => null);
+  return upload && canAccessJob(user, upload) ? upload : null;
+}
+
+async function saveUpload(store, upload) {
+  await store.set(uploadKey(upload.uploadId), JSON.stringify(upload), { contentType: "application/json" });
+}
+
+// Expected byte length of a part; null when the part number is out of range.
+function partLength(upload, part) {
+  if (!Number.isInteger(part) || part < 0 || part >= upload.parts) return null;
+  return part === upload.parts - 1 ? upload.size - upload.partSize * (upload.parts - 1) : upload.partSize;
+}
+
+// Part numbers already stored, ascending.
+async function receivedParts(store, id) {
+  const prefix = `uploads/${id}/`;
+  const { blobs } = await store.list({ prefix });
+  return blobs.map((b) => Number(b.key.slice(prefix.length))).filter(Number.isInteger).sort((a, b) => a - b);
+}
+
+// Joins every part into csv/<id>.csv. Throws with a user-facing message when parts are missing or the wrong size.
+// The parts are copied one at a time into a temp file that is stored as a file-backed Blob, so the joined
+// file is never held in memory.
+async function completeUpload(store, upload) {
+  const have = new Set(await receivedParts(store, upload.uploadId));
+  const missing = Array.from({ length: upload.parts }, (_, i) => i).filter((i) => !have.has(i));
+  if (missing.length) throw new Error(`Missing part(s): ${missing.slice(0, 20).join(", ")}${missing.length > 20 ? ", ..." : ""}`);
+  const key = `csv/${upload.uploadId}.csv`;
+  const tmp = path.join(os.tmpdir(), `upload-${upload.uploadId}.csv`);
+  try {
+    await pipeline(Readable.from(partBuffers(store, upload)), fs.createWriteStream(tmp));
+    const { size } = await fs.promises.stat(tmp);
+    if (size !== upload.size) throw new Error(`Upload is ${size} bytes, expected ${upload.size}`);
+    await storeDownloadFile(store, key, tmp);
+  } finally {
+    await fs.promises.rm(tmp, { force: true });
+  }
+  const done = { ...upload, completedAt: new Date().toISOString() };
+  await saveUpload(store, done);
+  for (let i = 0; i < upload.parts; i++) await store.delete(partKey(upload.uploadId, i)).catch(() => {});
+  return done;
+}
+
+async function* partBuffers(store, upload) {
+  for (let i = 0; i < upload.parts; i++) yield Buffer.from(await store.get(partKey(upload.uploadId, i), { type: "arrayBuffer" }));
+}
+
+// The joined CSV of a completed upload as a Node stream, so it is parsed without loading it whole.
+async function uploadedCsvStream(store, id) {
+  const stream = await store.get(`csv/${id}.csv`, { type: "stream" });
+  return stream ? Readable.fromWeb(stream) : null;
+}
+
+module.exports = { UPLOAD_PART_BYTES, MAX_UPLOAD_BYTES, uploadKey, partKey, loadUpload, saveUpload, partLength, receivedParts, completeUpload, uploadedCsvStream };
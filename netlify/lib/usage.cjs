@@ -0,0 +1,65 @@
+// netlify/lib/usage.cjs
+// Token usage accounting. Responses API `usage` objects (from direct calls and batch output lines) are
+// summed per model, then priced into the per-job cost report stored at reports/<jobId>.json.
+
+const { costOf, roundUsd } = require("./pricing.cjs");
+
+function emptyUsage() { return { requests: 0, inputTokens: 0, cachedTokens: 0, outputTokens: 0, reasoningTokens: 0 }; }
+
+// Normalises a Responses API `usage` object. Returns null when the response carried none.
+function usageFromResponse(usage) {
+  if (!usage || typeof usage !== "object") return null;
+  return {
+    requests: 1,
+    inputTokens: Number(usage.input_tokens || 0),
+    cachedTokens: Number(usage.input_tokens_details?.cached_tokens || 0),
+    outputTokens: Number(usage.output_tokens || 0),
+    reasoningTokens: Number(usage.output_tokens_details?.reasoning_tokens || 0),
+  };
+}
+
+function addUsage(total, usage) {
+  const out = { ...emptyUsage(), ...(total || {}) };
+  if (!usage) return out;
+  for (const k of Object.keys(emptyUsage())) out[k] += Number(usage[k] || 0);
+  return out;
+}
+
+// byModel: { [model]: usage } -> same map with each model's usage summed into it.
+function addModelUsage(byModel, model, usage) {
+  if (!usage) return byModel || {};
+  const key = model || "unknown";
+  return { ...(byModel || {}), [key]: addUsage(byModel?.[key], usage) };
+}
+
+function cacheHitRate(usage) { return usage?.inputTokens ? Math.round((usage.cachedTokens / usage.inputTokens) * 1000) / 1000 : 0; }
+
+// Prices one source's per-model usage. `batch` applies the Batch API discount.
+function priceSource(byModel, { batch }) {
+  let usage = emptyUsage(); let usd = 0; let pricingKnown = true;
+  for (const [model, u] of Object.entries(byModel || {})) {
+    usage = addUsage(usage, u);
+    const c = costOf(u, model, { batch });
+    if (c == null) pricingKnown = false; else usd += c;
+  }
+  return { usage, costUsd: roundUsd(usd), pricingKnown };
+}
+
+// sources: [{ batchId, isRepair, mode: "batch"|"direct", byModel }] -> the stored cost report.
+function buildCostReport(jobId, sources) {
+  let usage = emptyUsage(); let usd = 0; let pricingKnown = true;
+  const priced = sources.map((s) => {
+    const p = priceSource(s.byModel, { batch: s.mode === "batch" });
+    usage = addUsage(usage, p.usage); usd += p.costUsd || 0; pricingKnown = pricingKnown && p.pricingKnown;
+    return { batchId: s.batchId || null, isRepair: Boolean(s.isRepair), mode: s.mode, byModel: s.byModel || {}, usage: p.usage, costUsd: p.costUsd, cacheHitRate: cacheHitRate(p.usage) };
+  });
+  return { jobId, currency: "USD", updatedAt: new Date().toISOString(), sources: priced, usage, costUsd: roundUsd(usd), cacheHitRate: cacheHitRate(usage), pricingKnown };
+}
+
+// Short form for status payloads: what has been spent so far.
+function spendSummary(byModel, { batch = false } = {}) {
+  const p = priceSource(byModel, { batch });
+  return { usage: p.usage, costUsd: p.costUsd, cacheHitRate: cacheHitRate(p.usage), pricingKnown: p.pricingKnown };
+}
+
+module.exports = { emptyUsage, usageFromResponse, addUsage, addModelUsage, cacheHitRate, buildCostReport, spendSummary };
@@ -0,0 +1,106 @@
+// netlify/lib/webhook.cjs
+// Job notifications: a JSON POST to the job's webhook URL when a batch job reaches a final state.
+// If WEBHOOK_SECRET is set, the body is signed: X-Webhook-Signature: sha256=<hex HMAC of the raw body>.
+// Webhooks must be https and may not reach loopback, link-local or private addresses, checked on the resolved
+// address at connect time (redirects are not followed). Hosts in WEBHOOK_ALLOWED_HOSTS (comma-separated) skip
+// both checks, for receivers on an internal network.
+
+const crypto = require("node:crypto");
+const dns = require("node:dns");
+const net = require("node:net");
+const http = require("node:http");
+const https = require("node:https");
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+const MAX_WEBHOOK_ATTEMPTS = 3;
+
+const BLOCKED = new net.BlockList();
+for (const [addr, prefix] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 4], ["240.0.0.0", 4]]) BLOCKED.addSubnet(addr, prefix, "ipv4");
+for (const [addr, prefix] of [["::", 128], ["::1", 128], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]) BLOCKED.addSubnet(addr, prefix, "ipv6");
+
+// Loopback, private, link-local, shared, multicast and reserved ranges (IPv4-mapped IPv6 included).
+function isBlockedAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address)?.[1];
+  if (mapped || net.isIPv4(address)) return BLOCKED.check(mapped || address, "ipv4");
+  return !net.isIPv6(address) || BLOCKED.check(address, "ipv6");
+}
+
+function allowedHosts(env = process.env) {
+  return String(env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map((h) => h.trim().toLowerCase()).filter(Boolean);
+}
+
+const bareHost = (url) => url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+
+// Per-job URL from the form, falling back to BATCH_WEBHOOK_URL. Throws with a user-facing message on a bad URL.
+function webhookUrlFromFields(fields = {}, env = process.env) {
+  const raw = String(fields.webhookUrl || env.BATCH_WEBHOOK_URL || "").trim();
+  if (!raw) return null;
+  let url;
+  try { url = new URL(raw); } catch { throw new Error("Webhook URL is not a valid URL"); }
+  if (allowedHosts(env).includes(bareHost(url))) return url.toString();
+  if (url.protocol !== "https:") throw new Error("Webhook URL must be https");
+  const host = bareHost(url);
+  if (host === "localhost" || host.endsWith(".localhost") || (net.isIP(host) && isBlockedAddress(host))) throw new Error("Webhook URL may not point at a local or private address");
+  return url.toString();
+}
+
+// dns.lookup that refuses blocked addresses, so a name can't resolve (or re-resolve) to an internal host.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find((a) => isBlockedAddress(a.address));
+    if (blocked) return callback(new Error(`Webhook host ${hostname} resolves to a private address (${blocked.address})`));
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const allowed = allowedHosts().includes(bareHost(url));
+    if (!allowed && url.protocol !== "https:") return reject(new Error("Webhook URL must be https"));
+    if (!allowed && net.isIP(bareHost(url)) && isBlockedAddress(bareHost(url))) return reject(new Error("Webhook URL may not point at a local or private address"));
+    const req = (url.protocol === "https:" ? https : http).request(url, {
+      method: "POST", headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      timeout: WEBHOOK_TIMEOUT_MS, ...(allowed ? {} : { lookup: guardedLookup }),
+    }, (r) => { r.resume(); r.on("end", () => resolve(r.statusCode)); r.on("error", reject); });
+    req.on("timeout", () => req.destroy(new Error("Webhook timed out")));
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// The payload sent for a job; `summary` is the job-status view ({ state, request_counts, errors }).
+function jobSummary(meta, batches, summary, { costReport = null, origin = process.env.URL } = {}) {
+  return {
+    event: `job.${summary.state}`,
+    jobId: meta.jobId,
+    name: meta.name || meta.fileName || meta.jobId,
+    model: meta.model,
+    state: summary.state,
+    batchIds: batches.map((b) => b.batchId),
+    batches: batches.map((b) => ({ batchId: b.batchId, isRepair: b.isRepair, status: b.status, request_counts: b.request_counts })),
+    request_counts: summary.request_counts,
+    errors: summary.errors.slice(0, 5),
+    costUsd: costReport?.pricingKnown ? costReport.costUsd : null,
+    autoRepair: meta.autoRepairState || null,
+    cancellation: meta.cancellation || null,
+    download: origin ? `${origin}/api/batch-download?id=${encodeURIComponent(meta.jobId)}` : null,
+    sentAt: new Date().toISOString(),
+  };
+}
+
+// Returns { ok, status, error }; never throws.
+async function deliverWebhook(url, payload, { secret = process.env.WEBHOOK_SECRET } = {}) {
+  const body = JSON.stringify(payload);
+  const headers = { "Content-Type": "application/json", "User-Agent": "openai-batch-csv" };
+  if (secret) headers["X-Webhook-Signature"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+  try {
+    const status = await post(new URL(url), headers, body);
+    return status >= 200 && status < 300 ? { ok: true, status } : { ok: false, status, error: `HTTP ${status}` };
+  } catch (e) {
+    return { ok: false, status: null, error: e?.message || String(e) };
+  }
+}
+
+module.exports = { MAX_WEBHOOK_ATTEMPTS, isBlockedAddress, webhookUrlFromFields, jobSummary, deliverWebhook };
@@ -1,9 +1,106 @@
 import React, { useEffect, useRef, useState } from "react";
+import MODEL_CAPS from "../netlify/lib/model-caps.json";
 
 const API_BASE = "/.netlify/functions";
 
+// Same lookup as capsFor() in netlify/lib/model-params.cjs
+function capsFor(model) { return MODEL_CAPS.models.find(c => String(model || "").startsWith(c.prefix)) || MODEL_CAPS.default; }
+
+// The saved parameters a model does not accept, cleared (they would be rejected on submit)
+function paramsForModel(model, { reasoningEffort, verbosity, temperature, serviceTier }) {
+  const caps = capsFor(model);
+  return {
+    reasoningEffort: caps.reasoningEfforts.includes(reasoningEffort) ? reasoningEffort : "",
+    verbosity: caps.verbosities.includes(verbosity) ? verbosity : "",
+    temperature: caps.temperature ? temperature : "",
+    serviceTier: serviceTier === "flex" && !caps.flex ? "" : serviceTier,
+  };
+}
+
 function generateId() { return Math.random().toString(36).substring(2, 9); }
 
+// Files above this go through the resumable upload instead of the form body (functions reject bodies over ~6 MB).
+const FORM_UPLOAD_MAX_BYTES = 4 * 1024 * 1024;
+const INPUT_ACCEPT = ".csv,.tsv,.txt,.xlsx,.xlsm,.jsonl,.ndjson";
+const OUTPUT_FORMAT_LABELS = { csv: "CSV", xlsx: "Excel", jsonl: "JSONL", json: "JSON" };
+const DELIMITER_LABELS = { ",": "comma", ";": "semicolon", "\t": "tab", "|": "pipe" };
+const UPLOADS_KEY = "batch-csv-uploads";
+const uploadFileKey = (f) => `${f.name}:${f.size}:${f.lastModified}`;
+function savedUploads() { try { return JSON.parse(localStorage.getItem(UPLOADS_KEY) || "{}"); } catch { return {}; } }
+function rememberUpload(f, uploadId) { const all = savedUploads(); if (uploadId) all[uploadFileKey(f)] = uploadId; else delete all[uploadFileKey(f)]; localStorage.setItem(UPLOADS_KEY, JSON.stringify(all)); }
+
+const AUTH_SECRET_KEY = "batch-csv-team-secret";
+const AUTH_USER_KEY = "batch-csv-user";
+
+// Sign-in for the API: the Netlify Identity session when the Identity widget is on the page, else the personal
+// token or team secret (and, for the team secret, the name to record as job owner) saved in this browser.
+async function authHeaders() {
+  const identityUser = window.netlifyIdentity?.currentUser();
+  if (identityUser) return { Authorization: `Bearer ${await identityUser.jwt()}` };
+  const secret = localStorage.getItem(AUTH_SECRET_KEY); const user = localStorage.getItem(AUTH_USER_KEY);
+  return { ...(secret ? { Authorization: `Bearer ${secret}` } : {}), ...(user ? { "X-User": user } : {}) };
+}
+
+// fetch() of an API function with sign-in headers. A 401 asks for the team secret once and retries;
+// requests that fail while the prompt is open retry with the new secret without asking again.
+async function apiFetch(path, init = {}, retry = true) {
+  const sentSecret = localStorage.getItem(AUTH_SECRET_KEY);
+  const r = await fetch(`${API_BASE}/${path}`, { ...init, headers: { ...(init.headers || {}), ...(await authHeaders()) } });
+  if (r.status !== 401 || !retry) return r;
+  if (window.netlifyIdentity) { window.netlifyIdentity.open("login"); return r; }
+  if (localStorage.getItem(AUTH_SECRET_KEY) === sentSecret) {
+    const secret = window.prompt("This site needs your access token or the team secret:");
+    if (!secret) return r;
+    localStorage.setItem(AUTH_SECRET_KEY, secret.trim());
+    const name = window.prompt("Your name or email (recorded as the owner of your jobs):", localStorage.getItem(AUTH_USER_KEY) || "");
+    if (name !== null) localStorage.setItem(AUTH_USER_KEY, name.trim());
+  }
+  return apiFetch(path, init, false);
+}
+
+async function postJson(path, body) {
+  const r = await apiFetch(path, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+  const j = await r.json().catch(() => ({}));
+  return { ok: r.ok, status: r.status, j };
+}
+
+// Sends a large file in parts and returns its upload id. An interrupted upload of the same file
+// (same name, size and modification time) continues with the parts the server does not have yet.
+async function uploadInParts(file, log) {
+  let session = null;
+  const savedId = savedUploads()[uploadFileKey(file)];
+  if (savedId) {
+    const { ok, j } = await postJson("upload-start", { uploadId: savedId });
+    if (ok) session = j;
+  }
+  if (!session) {
+    const { ok, j } = await postJson("upload-start", { fileName: file.name, size: file.size });
+    if (!ok) throw new Error(j.error || "Upload could not start");
+    session = j; rememberUpload(file, j.uploadId);
+  }
+  if (session.completed) return session.uploadId;
+
+  const received = new Set(session.received);
+  const todo = Array.from({ length: session.parts }, (_, i) => i).filter(i => !received.has(i));
+  log(todo.length < session.parts ? `Resuming upload: ${session.parts - todo.length} of ${session.parts} parts already stored.` : `Uploading ${(file.size / 1024 / 1024).toFixed(1)} MB in ${session.parts} parts...`);
+  let lastPct = 0;
+  for (const [n, part] of todo.entries()) {
+    const blob = file.slice(part * session.partSize, Math.min(file.size, (part + 1) * session.partSize));
+    for (let attempt = 1; ; attempt++) {
+      const r = await apiFetch(`upload-part?id=${encodeURIComponent(session.uploadId)}&part=${part}`, { method: "PUT", headers: { "Content-Type": "application/octet-stream" }, body: blob }).catch(e => ({ ok: false, e }));
+      if (r.ok) break;
+      if (attempt >= 3) throw new Error(`Upload of part ${part + 1} failed; submit again to resume.`);
+      await new Promise(res => setTimeout(res, 1000 * attempt));
+    }
+    const pct = Math.floor(((session.parts - todo.length + n + 1) / session.parts) * 10) * 10;
+    if (pct > lastPct && pct < 100) { lastPct = pct; log(`Upload ${pct}%`); }
+  }
+  const { ok, j } = await postJson(`upload-complete?id=${encodeURIComponent(session.uploadId)}`, {});
+  if (!ok) throw new Error(j.error || "Upload could not be completed");
+  log("Upload complete.");
+  return session.uploadId;
+}
+
 function highlightJSON(json) {
   if (typeof json !== "string") json = JSON.stringify(json, undefined, 2);
   json = json.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
@@ -18,8 +115,10 @@ function highlightJSON(json) {
 
 function ProjectWorkspace({ project, updateProject, isActive }) {
   const { 
-    id, name, inputCol, skipCol, targetCols, prompt, contextDoc, model, chunkSize, reasoningEffort, mode, 
-    concurrency, maxRows, batchIds, status, jobStats, analysis, lastRunMode 
+    id, name, inputFormat = "", sheet = "", delimiter = "", encoding = "", inputMode = "column", inputCol, inputTemplate = "", inputCols = "", skipCol, targetCols, outputCols = [], prompt, contextDoc, model, chunkSize, reasoningEffort, verbosity = "", temperature = "", maxOutputTokens = "", serviceTier = "", mode, 
+    concurrency, maxRows, jobId, batchIds, batchStates = [], status, jobStats, analysis, lastRunMode, spend = null,
+    autoRepair = false, autoRepairMaxRounds = 3, autoRepairMaxCost = "", autoRepairFallbackModel = "", autoRepairInfo = null, webhookUrl = "", maxRetries = "", directFailures = [],
+    outputFormat = "csv", outputNewlines = "flatten", outputColumns = "all", keyProject = ""
   } = project;
 
   const [file, setFile] = useState(null);
@@ -30,6 +129,11 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [isRepairing, setIsRepairing] = useState(false);
+  const [isEstimating, setIsEstimating] = useState(false);
+  const [estimate, setEstimate] = useState(null);
+  const [inputInfo, setInputInfo] = useState(null);
+  const [isInspecting, setIsInspecting] = useState(false);
+  const [skippedGroups, setSkippedGroups] = useState([]);
   const [preview, setPreview] = useState(null);
   const [error, setError] = useState("");
   
@@ -44,16 +148,52 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
   useEffect(() => { if (logRef.current && consoleOpen) logRef.current.scrollTop = logRef.current.scrollHeight; }, [logs, consoleOpen]);
 
   useEffect(() => { setBatchIdInput(batchIds.join(",\n")); }, [batchIds]);
+  useEffect(() => { setEstimate(null); }, [file]);
+  useEffect(() => { inspectInput(); }, [file, inputFormat, sheet, delimiter, encoding]);
 
   const pollRef = useRef(null);
-  function stopPolling() { if (pollRef.current) clearInterval(pollRef.current); pollRef.current = null; }
+  const eventsRef = useRef(null);
+  const pollGenRef = useRef(0);
+  function stopPolling() {
+    pollGenRef.current++;
+    if (pollRef.current) clearInterval(pollRef.current); pollRef.current = null;
+    if (eventsRef.current) eventsRef.current.close(); eventsRef.current = null;
+  }
   function startPolling() { 
     stopPolling(); 
+    if (lastRunMode === "direct" && typeof EventSource !== "undefined") return subscribeDirectEvents();
     pollRef.current = setInterval(lastRunMode === "direct" ? checkDirectStatus : checkStatus, 3000); 
   }
+
+  // Direct jobs push progress over SSE; polling is the fallback when the stream can't be opened.
+  // EventSource can't send the sign-in header, so the stream is opened with the signed link from direct-status.
+  async function subscribeDirectEvents() {
+    const gen = pollGenRef.current;
+    const j = await apiFetch(`direct-status?id=${encodeURIComponent(currentBatchId)}`).then(r => r.ok ? r.json() : null).catch(() => null);
+    if (gen !== pollGenRef.current) return; // stopped while fetching the link
+    if (!j?.eventsUrl) { pollRef.current = setInterval(checkDirectStatus, 3000); return; }
+    const es = new EventSource(j.eventsUrl);
+    eventsRef.current = es;
+    es.addEventListener("progress", (e) => {
+      const p = JSON.parse(e.data);
+      update({ jobStats: { completed: p.completedChunks, failed: p.failedChunks, total: p.totalChunks || 0, etaSeconds: p.etaSeconds, concurrency: p.concurrency }, ...(p.spend ? { spend: p.spend } : {}) });
+    });
+    es.addEventListener("chunk", (e) => { const c = JSON.parse(e.data); if (!c.ok) log(`⚠️ ${c.msg}`); });
+    es.addEventListener("message", (e) => log(JSON.parse(e.data).msg));
+    es.addEventListener("end", (e) => {
+      const { status: finalStatus } = JSON.parse(e.data);
+      stopPolling(); update({ status: finalStatus });
+      if (finalStatus === "ready") { log("✅ Job finished. CSV ready."); checkDirectStatus(); }
+    });
+    es.onerror = () => {
+      if (es.readyState !== EventSource.CLOSED) return; // reconnecting after the server closed a window
+      eventsRef.current = null;
+      pollRef.current = setInterval(checkDirectStatus, 3000);
+    };
+  }
   
   useEffect(() => { 
-    const terminal = ["completed", "failed", "cancelled", "expired", "ready"]; 
+    const terminal = ["completed", "partial", "failed", "cancelled", "expired", "ready", "paused"]; 
     if (status && terminal.includes(status)) stopPolling(); 
     else if (currentBatchId && !terminal.includes(status)) startPolling();
     return () => stopPolling();
@@ -68,39 +208,109 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
   async function handleImport(e) {
     e.preventDefault();
     if(!importId) return;
-    update({ batchIds: [importId], status: "submitted", lastRunMode: "batch", name: `Imported (${importId.slice(6,12)})` });
+    update({ jobId: null, batchIds: [importId], batchStates: [], status: "submitted", lastRunMode: "batch", name: `Imported (${importId.slice(6,12)})` });
     log(`Imported batch ${importId}. Starting tracking.`);
   }
 
+  // uploadId: a finished large-file upload, sent in place of the file
+  function buildFormData(uploadId) {
+    const fd = new FormData();
+    if (uploadId) fd.append("uploadId", uploadId); else fd.append("file", file);
+    if (inputFormat) fd.append("inputFormat", inputFormat);
+    if (sheet) fd.append("sheet", sheet);
+    if (delimiter) fd.append("delimiter", delimiter);
+    if (encoding) fd.append("encoding", encoding);
+    fd.append("inputMode", inputMode); fd.append("inputCol", inputCol); fd.append("prompt", prompt);
+    if (inputMode === "template") fd.append("inputTemplate", inputTemplate);
+    if (inputMode === "columns") fd.append("inputCols", inputCols);
+    fd.append("model", model); fd.append("chunkSize", chunkSize);
+    // Projects saved before a model change can hold parameters the model no longer takes
+    const params = paramsForModel(model, { reasoningEffort, verbosity, temperature, serviceTier });
+    if (params.reasoningEffort) fd.append("reasoning_effort", params.reasoningEffort);
+    if (params.verbosity) fd.append("verbosity", params.verbosity);
+    if (params.temperature !== "") fd.append("temperature", params.temperature);
+    if (maxOutputTokens) fd.append("max_output_tokens", maxOutputTokens);
+    if (params.serviceTier) fd.append("service_tier", params.serviceTier);
+    if (skipCol) fd.append("skipCol", skipCol);
+    if (targetCols) fd.append("targetCols", targetCols);
+    if (outputCols.length) fd.append("outputCols", JSON.stringify(outputCols));
+    if (contextDoc) fd.append("contextDoc", contextDoc);
+    if (maxRows) fd.append("maxRows", maxRows);
+    if (name && name !== "New Project") fd.append("name", name);
+    if (keyProject) fd.append("keyProject", keyProject);
+    return fd;
+  }
+
+  // Detected format, sheets and columns of the chosen file, for the picker
+  async function inspectInput() {
+    setInputInfo(null);
+    if (!file) return;
+    try {
+      setIsInspecting(true);
+      const fd = new FormData();
+      if (file.size > FORM_UPLOAD_MAX_BYTES) fd.append("uploadId", await uploadInParts(file, log)); else fd.append("file", file);
+      if (inputFormat) fd.append("inputFormat", inputFormat);
+      if (sheet) fd.append("sheet", sheet);
+      if (delimiter) fd.append("delimiter", delimiter);
+      if (encoding) fd.append("encoding", encoding);
+      const r = await apiFetch("input-inspect", { method: "POST", body: fd });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      setInputInfo(j);
+    } catch (err) { setInputInfo({ error: err.message }); } finally { setIsInspecting(false); }
+  }
+
+  async function estimateCost() {
+    setError("");
+    if (!file) return setError("Please choose an input file.");
+    try {
+      setIsEstimating(true);
+      const fd = buildFormData(file.size > FORM_UPLOAD_MAX_BYTES ? await uploadInParts(file, log) : null);
+      if (mode === "direct") fd.append("direct", "1");
+      const r = await apiFetch("batch-estimate", { method: "POST", body: fd });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      setEstimate(j);
+      log(`Estimate: ${j.rows} rows in ${j.chunks} requests, ~${j.inputTokens.toLocaleString()} input / ~${(j.outputTokens + j.reasoningTokens).toLocaleString()} output tokens.`);
+    } catch (err) { setError(err.message); log(`Error: ${err.message}`); } finally { setIsEstimating(false); }
+  }
+
   async function submitBatch(e) {
-    e.preventDefault(); setError(""); setPreview(null); update({ status: "", analysis: null });
+    e.preventDefault(); setError(""); setPreview(null); update({ status: "", analysis: null, spend: null, autoRepairInfo: null, directFailures: [] });
 
-    if (!file) return setError("Please choose a CSV file.");
+    if (!file) return setError("Please choose an input file.");
     try {
       setIsSubmitting(true); stopPolling();
-      const fd = new FormData();
-      fd.append("file", file); fd.append("inputCol", inputCol); fd.append("prompt", prompt);
-      fd.append("model", model); fd.append("chunkSize", chunkSize); fd.append("reasoning_effort", reasoningEffort);
-      if (skipCol) fd.append("skipCol", skipCol);
-      if (targetCols) fd.append("targetCols", targetCols);
-      if (contextDoc) fd.append("contextDoc", contextDoc);
-      if (maxRows) fd.append("maxRows", maxRows);
+      const uploadId = file.size > FORM_UPLOAD_MAX_BYTES ? await uploadInParts(file, log) : null;
+      const fd = buildFormData(uploadId);
       if (mode === "dry") fd.append("dryRun", "1");
-      if (mode === "direct") { fd.append("direct", "1"); fd.append("concurrency", concurrency); }
+      if (mode === "direct") { fd.append("direct", "1"); fd.append("concurrency", concurrency); if (maxRetries !== "") fd.append("maxRetries", maxRetries); }
+      if (mode === "batch" && autoRepair) {
+        fd.append("autoRepair", "1"); fd.append("autoRepairMaxRounds", autoRepairMaxRounds);
+        if (autoRepairMaxCost !== "") fd.append("autoRepairMaxCost", autoRepairMaxCost);
+        if (autoRepairFallbackModel) fd.append("autoRepairFallbackModel", autoRepairFallbackModel);
+      }
+      if (mode === "batch" && webhookUrl) fd.append("webhookUrl", webhookUrl);
 
       log(`Submitting Job → mode=${mode}, model=${model}`);
-      const r = await fetch(`${API_BASE}/batch-create`, { method: "POST", body: fd });
+      const r = await apiFetch("batch-create", { method: "POST", body: fd });
       const bodyText = await r.text();
+      if (!r.ok && uploadId && r.status === 409) rememberUpload(file, null);
       if (!r.ok) throw new Error(JSON.parse(bodyText).error || `HTTP ${r.status}`);
       const j = JSON.parse(bodyText);
 
       if (j.mode === "dryRun") { 
         update({ status: "done" }); setPreview(j.parsed || j.results || j); log(`Dry run OK.`); return; 
       }
+      // The upload became this job's CSV; submitting the file again needs a new upload
+      if (uploadId) rememberUpload(file, null);
       
       const newId = j.mode === "direct" ? j.jobId : j.batchId;
+      if (j.batchIds?.length > 1) log(`Job split into ${j.batchIds.length} batches to stay under the Batch API limits.`);
       update({ 
-        batchIds: [newId], 
+        jobId: j.jobId,
+        batchStates: [],
+        batchIds: j.mode === "direct" ? [newId] : (j.batchIds || [newId]), 
         status: "running", 
         lastRunMode: j.mode, 
         name: file.name.length > 20 ? file.name.substring(0, 20) + "..." : file.name 
@@ -112,18 +322,24 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
   async function checkStatus() {
     if (!currentBatchId) return;
     try {
-      const r = await fetch(`${API_BASE}/batch-status?id=${encodeURIComponent(currentBatchId)}`);
+      // Whole job: original batch, splits and repairs. Imported batches without a job id are sent as a list.
+      const r = await apiFetch(`job-status?id=${encodeURIComponent(jobId || batchIds.join(","))}`);
       const j = await r.json();
       if (!r.ok) throw new Error(j.error || "Status failed");
       
-      const updates = { status: j.status };
-      if (j.status === "failed" && j.errors?.data?.length > 0) { 
-        log(`❌ Batch Failed: ${j.errors.data[0].message}`); 
-        setError(`OpenAI rejected the batch: ${j.errors.data[0].message}`); 
+      const updates = { status: j.state, batchStates: j.batches.map(b => ({ batchId: b.batchId, isRepair: b.isRepair, status: b.status, request_counts: b.request_counts })) };
+      const untracked = j.batchIds.filter(b => !batchIds.includes(b));
+      if (untracked.length) updates.batchIds = [...batchIds, ...untracked];
+      if (j.errors.length > 0 && (j.state === "failed" || j.state === "partial")) { 
+        log(`❌ Batch ${j.errors[0].batchId} failed: ${j.errors[0].message}`); 
+        setError(`OpenAI rejected ${j.batches.filter(b => b.status === "failed").length} batch(es): ${j.errors[0].message}`); 
         stopPolling();
       }
-      if (j.request_counts) updates.jobStats = { completed: j.request_counts.completed + j.request_counts.failed, total: j.request_counts.total };
-      if (j.status === "completed") log(j.request_counts?.failed > 0 ? `⚠️ Job completed with ${j.request_counts.failed} failed rows. Run Analysis to repair.` : "✅ Batch completed successfully.");
+      if (j.costReport) updates.spend = j.costReport;
+      updates.autoRepairInfo = j.autoRepair;
+      updates.jobStats = { completed: j.request_counts.completed + j.request_counts.failed, total: j.request_counts.total };
+      if (j.state === "cancelled") log(`Job cancelled. ${j.request_counts.completed} requests finished before the cancel and are in the CSV.`);
+      if (j.state === "completed" || j.state === "partial") log(j.request_counts.failed > 0 ? `⚠️ Job completed with ${j.request_counts.failed} failed requests. Run Analysis to repair.` : `✅ All ${j.batches.length} batch(es) completed successfully.`);
       
       update(updates);
     } catch (err) { setError(err.message); }
@@ -132,19 +348,59 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
   async function checkDirectStatus() {
     if (!currentBatchId) return;
     try {
-      const r = await fetch(`${API_BASE}/direct-status?id=${encodeURIComponent(currentBatchId)}`);
+      const r = await apiFetch(`direct-status?id=${encodeURIComponent(currentBatchId)}`);
       const j = await r.json();
       if (j.error) { update({ status: "failed" }); setError(j.error); stopPolling(); return; }
       
       const newStatus = j.ready ? "ready" : (j.status || "running");
-      update({ status: newStatus, jobStats: { completed: j.completedChunks || 0, total: j.totalChunks || 0 } });
+      update({ status: newStatus, jobStats: { completed: j.completedChunks || 0, failed: j.failedChunks || 0, total: j.totalChunks || 0, etaSeconds: j.etaSeconds, concurrency: j.concurrency }, spend: j.spend || spend, directFailures: j.failures || [] });
       if (j.ready) { log("✅ Job finished. CSV ready."); stopPolling(); }
     } catch (err) { log(`Status error: ${err.message}`); }
   }
 
   async function cancelDirectJob() {
     if (!currentBatchId) return;
-    try { log("Sending abort request..."); await fetch(`${API_BASE}/direct-cancel?id=${encodeURIComponent(currentBatchId)}`); update({ status: "cancelled" }); log("Job aborted."); } catch(e) {}
+    try { log("Sending abort request..."); await apiFetch(`direct-cancel?id=${encodeURIComponent(currentBatchId)}`); update({ status: "cancelled" }); log("Job aborted."); } catch(e) {}
+  }
+
+  // Cancels every running batch of the job; requests that already finished stay downloadable.
+  async function cancelBatchJob() {
+    if (!currentBatchId || !window.confirm("Cancel every running batch of this job? Requests that already finished are kept.")) return;
+    setError("");
+    try {
+      log("Cancelling batches...");
+      const r = await apiFetch(`batch-cancel?id=${encodeURIComponent(jobId || currentBatchId)}`, { method: "POST" });
+      const j = await r.json();
+      const refused = (j.batches || []).filter(b => b.error);
+      if (!r.ok && !refused.length) throw new Error(j.error || "Cancel failed");
+      if (refused.length) setError(`OpenAI did not cancel ${refused.length} batch(es): ${refused[0].error}`);
+      log(`Cancel requested for ${(j.batches || []).filter(b => b.status !== b.from).length} batch(es).`);
+      update({ status: j.state });
+    } catch (e) { setError(e.message); }
+  }
+
+  // In-flight chunks finish first; the stream reports "paused" once the worker has stopped.
+  async function pauseDirectJob() {
+    if (!currentBatchId) return;
+    try {
+      const r = await apiFetch(`direct-pause?id=${encodeURIComponent(currentBatchId)}`, { method: "POST" });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || "Pause failed");
+      if (j.status === "paused") { update({ status: "paused" }); log("Job paused."); } else log("Pausing after the chunks in flight...");
+    } catch (e) { setError(e.message); }
+  }
+
+  // Continues a paused or stalled job, or retries the chunks that failed; finished chunks are kept.
+  async function resumeDirectJob() {
+    if (!currentBatchId) return;
+    setError("");
+    try {
+      const r = await apiFetch(`direct-resume?id=${encodeURIComponent(currentBatchId)}`, { method: "POST" });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || "Resume failed");
+      log(j.status === "running" ? "Pause withdrawn." : "Job resumed; finished chunks are kept.");
+      update({ status: j.status, directFailures: [] });
+    } catch (e) { setError(e.message); }
   }
 
   async function handleAnalyze() {
@@ -152,34 +408,51 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
     setIsAnalyzing(true); update({ analysis: null }); setError("");
     try {
       log(`Analyzing outputs...`);
-      const r = await fetch(`${API_BASE}/batch-reconstruct?id=${encodeURIComponent(batchIds.join(','))}&analyze=1`);
+      const r = await apiFetch(`batch-reconstruct?id=${encodeURIComponent(batchIds.join(','))}&analyze=1`);
       const j = await r.json();
       if (!r.ok) throw new Error(j.error || "Analysis failed.");
-      update({ analysis: j });
+      update({ analysis: j, spend: j.costReport || spend });
       log(`Analysis complete. Found ${j.missingCount} missing rows/cells.`);
     } catch (e) { setError(e.message); } finally { setIsAnalyzing(false); }
   }
 
+  // Rows to resubmit: the selected failure groups, or every missing row for analyses without groups.
+  const retryIds = analysis?.failureGroups
+    ? FAILURE_GROUPS.filter(g => !skippedGroups.includes(g)).flatMap(g => analysis.failureGroups[g]?.rowIds || [])
+    : (analysis?.missingIds || []);
+
   async function handleRepair() {
-    if (!analysis?.missingIds || analysis.missingIds.length === 0) return;
+    if (retryIds.length === 0) return;
     setIsRepairing(true); setError("");
     try {
-      log(`Submitting repair batch for ${analysis.missingIds.length} rows...`);
-      const r = await fetch(`${API_BASE}/batch-repair`, {
+      log(`Submitting repair batch for ${retryIds.length} rows...`);
+      const r = await apiFetch("batch-repair", {
         method: "POST", headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ batchIds: batchIds.join(','), missingIds: analysis.missingIds })
+        body: JSON.stringify({ batchIds: batchIds.join(','), missingIds: retryIds })
       });
       const j = await r.json();
       if (!r.ok) throw new Error(j.error || "Repair failed.");
       
-      update({ batchIds: [...batchIds, j.newBatchId], status: "submitted", analysis: null, lastRunMode: "batch" });
+      update({ batchIds: [...batchIds, ...(j.newBatchIds || [j.newBatchId])], status: "submitted", analysis: null, lastRunMode: "batch" });
       log(`✅ Repair batch submitted! ID: ${j.newBatchId}`);
     } catch(e) { setError(e.message); log(`❌ Repair Error: ${e.message}`); } finally { setIsRepairing(false); }
   }
 
-  const downloadLink = lastRunMode === "direct"
-      ? `${API_BASE}/batch-download?id=${encodeURIComponent(currentBatchId)}`
-      : `${API_BASE}/batch-reconstruct?id=${encodeURIComponent(batchIds.join(','))}`;
+  const outputQuery = `&format=${outputFormat}&columns=${outputColumns}${outputFormat === "csv" ? `&newlines=${outputNewlines}` : ""}`;
+  const downloadLink = (lastRunMode === "direct"
+      ? `batch-download?id=${encodeURIComponent(currentBatchId)}`
+      : `batch-reconstruct?id=${encodeURIComponent(batchIds.join(','))}`) + outputQuery;
+
+  // Asks for a signed link (plain navigation can't carry the sign-in header) and downloads from it.
+  async function openDownload(path) {
+    setError("");
+    try {
+      const r = await apiFetch(`${path}&link=1`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || `HTTP ${r.status}`);
+      window.location.href = j.url;
+    } catch (e) { setError(e.message); }
+  }
 
   return (
     <div style={{ display: isActive ? 'block' : 'none' }}>
@@ -199,7 +472,7 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
               <summary>View / Edit Job Configuration</summary>
               <div style={{padding: "0 24px 24px 24px"}}>
                 <p style={{fontSize: 13, color: "#666"}}><em>Note: Changing these settings does not affect the currently running batch.</em></p>
-                <ConfigForm file={file} setFile={setFile} isDragging={isDragging} setIsDragging={setIsDragging} update={update} inputCol={inputCol} skipCol={skipCol} targetCols={targetCols} prompt={prompt} contextDoc={contextDoc} model={model} chunkSize={chunkSize} mode={mode} maxRows={maxRows} concurrency={concurrency} isCachedHit={isCachedHit} estTokens={estTokens} barWidth={barWidth} submitBatch={submitBatch} isSubmitting={isSubmitting} />
+                <ConfigForm file={file} setFile={setFile} inputFormat={inputFormat} sheet={sheet} delimiter={delimiter} encoding={encoding} inputInfo={inputInfo} isInspecting={isInspecting} isDragging={isDragging} setIsDragging={setIsDragging} update={update} inputMode={inputMode} inputCol={inputCol} inputTemplate={inputTemplate} inputCols={inputCols} skipCol={skipCol} targetCols={targetCols} outputCols={outputCols} prompt={prompt} contextDoc={contextDoc} model={model} reasoningEffort={reasoningEffort} verbosity={verbosity} temperature={temperature} maxOutputTokens={maxOutputTokens} serviceTier={serviceTier} chunkSize={chunkSize} mode={mode} maxRows={maxRows} concurrency={concurrency} maxRetries={maxRetries} autoRepair={autoRepair} autoRepairMaxRounds={autoRepairMaxRounds} autoRepairMaxCost={autoRepairMaxCost} autoRepairFallbackModel={autoRepairFallbackModel} webhookUrl={webhookUrl} keyProject={keyProject} isCachedHit={isCachedHit} estTokens={estTokens} barWidth={barWidth} submitBatch={submitBatch} isSubmitting={isSubmitting} estimate={estimate} estimateCost={estimateCost} isEstimating={isEstimating} />
               </div>
             </details>
           ) : (
@@ -209,7 +482,7 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
                 <input value={importId} onChange={e=>setImportId(e.target.value)} placeholder="Or import existing Batch ID..." />
                 <button type="submit" className="secondary">Track</button>
               </form>
-              <ConfigForm file={file} setFile={setFile} isDragging={isDragging} setIsDragging={setIsDragging} update={update} inputCol={inputCol} skipCol={skipCol} targetCols={targetCols} prompt={prompt} contextDoc={contextDoc} model={model} chunkSize={chunkSize} mode={mode} maxRows={maxRows} concurrency={concurrency} isCachedHit={isCachedHit} estTokens={estTokens} barWidth={barWidth} submitBatch={submitBatch} isSubmitting={isSubmitting} />
+              <ConfigForm file={file} setFile={setFile} inputFormat={inputFormat} sheet={sheet} delimiter={delimiter} encoding={encoding} inputInfo={inputInfo} isInspecting={isInspecting} isDragging={isDragging} setIsDragging={setIsDragging} update={update} inputMode={inputMode} inputCol={inputCol} inputTemplate={inputTemplate} inputCols={inputCols} skipCol={skipCol} targetCols={targetCols} outputCols={outputCols} prompt={prompt} contextDoc={contextDoc} model={model} reasoningEffort={reasoningEffort} verbosity={verbosity} temperature={temperature} maxOutputTokens={maxOutputTokens} serviceTier={serviceTier} chunkSize={chunkSize} mode={mode} maxRows={maxRows} concurrency={concurrency} maxRetries={maxRetries} autoRepair={autoRepair} autoRepairMaxRounds={autoRepairMaxRounds} autoRepairMaxCost={autoRepairMaxCost} autoRepairFallbackModel={autoRepairFallbackModel} webhookUrl={webhookUrl} keyProject={keyProject} isCachedHit={isCachedHit} estTokens={estTokens} barWidth={barWidth} submitBatch={submitBatch} isSubmitting={isSubmitting} estimate={estimate} estimateCost={estimateCost} isEstimating={isEstimating} />
             </div>
           )}
 
@@ -219,7 +492,7 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
               <h2>Data Analysis & Repair</h2>
               <p style={{ fontSize: 13, color: "#555" }}>Check for dropped rows/cells across all tracked batches.</p>
               
-              <button onClick={handleAnalyze} disabled={isAnalyzing || status === "running" || status === "submitted"} style={{ width: "100%", marginBottom: 16 }}>
+              <button onClick={handleAnalyze} disabled={isAnalyzing || status === "running" || status === "submitted" || status === "in_progress"} style={{ width: "100%", marginBottom: 16 }}>
                 {isAnalyzing ? "Analyzing Data..." : "Analyze Extracted Data"}
               </button>
 
@@ -230,10 +503,24 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
                     {analysis.missingCount === 0 ? <span className="badge success">100% Complete</span> : <span className="badge danger">{analysis.missingCount} Missing Rows/Cells</span>}
                   </div>
 
+                  {analysis.repairedCount > 0 && <p style={{ margin: "0 0 12px 0", fontSize: 13, color: "#555" }}>{analysis.repairedCount} rows were recovered from malformed JSON. <a href="#" onClick={(e) => { e.preventDefault(); openDownload(`${downloadLink}&provenance=1`); }}>Download with provenance columns</a> to see which.</p>}
+                  {analysis.idMismatches > 0 && <p style={{ margin: "0 0 12px 0", fontSize: 13, color: "#92400e" }} title={analysis.idMismatchSamples.map(m => `${m.chunk}: ${m.id ?? "no id"} (${m.reason})`).join("\n")}>{analysis.idMismatches} returned items had a missing id or an id from another chunk and were not merged.</p>}
+                  {analysis.typeViolations > 0 && <p style={{ margin: "0 0 12px 0", fontSize: 13, color: "#92400e" }}>{analysis.typeViolations} values did not match the output schema and were counted as missing.</p>}
+
                   {analysis.missingCount > 0 && (
                     <div style={{ background: "#fff5f5", border: "1px solid #fecaca", padding: 16, borderRadius: 8, marginBottom: 16 }}>
                       <p style={{ margin: "0 0 12px 0", fontSize: 13, color: "#991b1b" }}>OpenAI dropped data for <strong>{analysis.missingCount}</strong> rows. Resubmit these specific rows as a new repair batch.</p>
-                      <button className="danger" onClick={handleRepair} disabled={isRepairing} style={{width: "100%"}}>{isRepairing ? "Creating..." : "Launch Auto-Repair Batch"}</button>
+                      {analysis.failureGroups && (
+                        <div style={{ marginBottom: 12, fontSize: 13 }}>
+                          {FAILURE_GROUPS.filter(g => analysis.failureGroups[g]?.count > 0).map(g => (
+                            <label key={g} style={{ display: "flex", gap: 8, alignItems: "baseline", fontWeight: "normal", marginBottom: 4 }} title={analysis.failureGroups[g].samples.map(x => `row ${x.id}: ${x.message}`).join("\n")}>
+                              <input type="checkbox" style={{ width: "auto" }} checked={!skippedGroups.includes(g)} onChange={(e) => setSkippedGroups(e.target.checked ? skippedGroups.filter(x => x !== g) : [...skippedGroups, g])} />
+                              <span><strong>{FAILURE_GROUP_LABELS[g]}</strong>: {analysis.failureGroups[g].count} rows <span style={{ color: "#64748b" }}>({analysis.failureGroups[g].samples[0]?.message})</span></span>
+                            </label>
+                          ))}
+                        </div>
+                      )}
+                      <button className="danger" onClick={handleRepair} disabled={isRepairing || retryIds.length === 0} style={{width: "100%"}}>{isRepairing ? "Creating..." : `Retry ${retryIds.length} Rows in a Repair Batch`}</button>
                     </div>
                   )}
 
@@ -273,24 +560,65 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
                     />
                   </div>
 
-                  <p style={{ margin: "0 0 8px 0" }}><strong>Status ({currentBatchId?.slice(6,14)}...):</strong> <span style={{ textTransform: "capitalize", color: status === "failed" ? "red" : status === "ready" || status === "completed" ? "green" : "#0066ff", fontWeight: 600 }}>{status || "running"}</span></p>
+                  <p style={{ margin: "0 0 8px 0" }}><strong>Status ({jobId ? `job ${jobId.slice(0,8)}` : currentBatchId?.slice(6,14)}...):</strong> <span style={{ textTransform: "capitalize", color: status === "failed" ? "red" : status === "partial" ? "#b45309" : status === "ready" || status === "completed" ? "green" : "#0066ff", fontWeight: 600 }}>{(status || "running").replace("_", " ")}</span></p>
+
+                  {lastRunMode === "batch" && batchStates.length > 1 && (
+                    <ul style={{ margin: "0 0 8px 0", paddingLeft: 18, fontSize: 12, color: "#475569" }}>
+                      {batchStates.map(b => <li key={b.batchId}><code>{b.batchId.slice(6,14)}</code>{b.isRepair ? " (repair)" : ""}: {b.status.replace("_", " ")}{b.request_counts ? ` · ${b.request_counts.completed + b.request_counts.failed}/${b.request_counts.total}` : ""}</li>)}
+                    </ul>
+                  )}
                   
-                  {(status === "running" || status === "submitted") && (
+                  {(status === "running" || status === "submitted" || status === "in_progress") && (
                     <div style={{ marginTop: 16, marginBottom: 16 }}>
                       <div style={{ display: "flex", justifyContent: "space-between", fontSize: 12, marginBottom: 4, fontWeight: 600 }}>
-                        <span>Processing Chunks</span><span>{jobStats.completed} / {jobStats.total || "?"}</span>
+                        <span>Processing Chunks</span><span>{jobStats.completed} / {jobStats.total || "?"}{jobStats.failed > 0 ? ` · ${jobStats.failed} failed` : ""}{jobStats.etaSeconds > 0 ? ` · ~${formatEta(jobStats.etaSeconds)} left` : ""}{jobStats.concurrency ? ` · ${jobStats.concurrency} in parallel` : ""}</span>
                       </div>
                       <progress value={jobStats.completed} max={jobStats.total || 100} />
                     </div>
                   )}
+
+                  {lastRunMode === "direct" && directFailures.length > 0 && (
+                    <details style={{ margin: "0 0 8px 0", fontSize: 12, color: "#991b1b" }}>
+                      <summary>{directFailures.reduce((n, f) => n + f.rowIds.length, 0)} rows in {directFailures.length} chunk(s) failed after retries and are empty in the CSV</summary>
+                      <ul style={{ margin: "4px 0 0 0", paddingLeft: 18 }}>
+                        {directFailures.slice(0, 20).map(f => <li key={f.chunk}>rows {f.rowIds.length > 3 ? `${f.rowIds[0]}–${f.rowIds[f.rowIds.length - 1]}` : f.rowIds.join(", ")} ({f.attempts} attempt{f.attempts === 1 ? "" : "s"}): {f.error}</li>)}
+                      </ul>
+                    </details>
+                  )}
+
+                  {autoRepairInfo && (
+                    <p style={{ margin: "0 0 8px 0", fontSize: 12, color: "#475569" }}>
+                      Auto-repair: round {autoRepairInfo.state?.rounds || 0} of {autoRepairInfo.maxRounds}
+                      {autoRepairInfo.state?.missingCount != null ? ` · ${autoRepairInfo.state.missingCount} rows missing at last check` : ""}
+                      {autoRepairInfo.state?.stopped ? ` · stopped (${AUTO_REPAIR_STOP_LABELS[autoRepairInfo.state.stopped] || autoRepairInfo.state.stopped})` : " · active"}
+                    </p>
+                  )}
+
+                  {spend?.usage?.requests > 0 && (
+                    <div className="token-status" style={{ fontSize: 12, marginBottom: 8 }}>
+                      <span>Spent: <strong>{spend.pricingKnown ? `$${spend.costUsd.toFixed(4)}` : "price unknown"}</strong> · {spend.usage.inputTokens.toLocaleString()} in / {spend.usage.outputTokens.toLocaleString()} out tokens</span>
+                      <span>Cache hit: <strong>{Math.round(spend.cacheHitRate * 100)}%</strong></span>
+                    </div>
+                  )}
                 </div>
               )}
               
               <div style={{ display: "flex", gap: 8, flexWrap: "wrap" }}>
                 {isJobActive && lastRunMode === "batch" && <button className="secondary" onClick={checkStatus}>Refresh</button>}
-                {isJobActive && lastRunMode === "direct" && status === "running" && <button className="danger" onClick={cancelDirectJob}>Abort</button>}
-                {isJobActive && <button onClick={() => window.location.href = downloadLink} disabled={status !== "completed" && status !== "ready"}>Download Output CSV</button>}
+                {isJobActive && lastRunMode === "batch" && ["submitted", "validating", "in_progress", "finalizing"].includes(status) && <button className="danger" onClick={cancelBatchJob}>Cancel Batch</button>}
+                {isJobActive && lastRunMode === "direct" && (status === "running" || status === "queued") && <button className="secondary" onClick={pauseDirectJob}>Pause</button>}
+                {isJobActive && lastRunMode === "direct" && (status === "paused" || status === "failed") && <button className="secondary" onClick={resumeDirectJob}>Resume</button>}
+                {isJobActive && lastRunMode === "direct" && ["running", "queued", "paused"].includes(status) && <button className="danger" onClick={cancelDirectJob}>Abort</button>}
+                {isJobActive && lastRunMode === "direct" && status === "ready" && directFailures.length > 0 && <button className="secondary" onClick={resumeDirectJob}>Retry Failed Chunks</button>}
+                {isJobActive && <button onClick={() => openDownload(downloadLink)} disabled={status !== "completed" && status !== "partial" && status !== "ready" && status !== "cancelled" && !(lastRunMode === "direct" && status === "paused")}>{status === "cancelled" || status === "paused" ? "Download Partial" : "Download Output"} {OUTPUT_FORMAT_LABELS[outputFormat]}</button>}
               </div>
+              {isJobActive && (
+                <div className="flex-row" style={{ marginTop: 8 }}>
+                  <select value={outputFormat} onChange={(e) => update({ outputFormat: e.target.value })} title="Output format">{Object.entries(OUTPUT_FORMAT_LABELS).map(([f, l]) => <option key={f} value={f}>{l}</option>)}</select>
+                  <select value={outputColumns} onChange={(e) => update({ outputColumns: e.target.value })} title="Columns"><option value="all">Full original rows</option><option value="new">Row id + new columns</option></select>
+                  {outputFormat === "csv" && <select value={outputNewlines} onChange={(e) => update({ outputNewlines: e.target.value })} title="Line breaks in cells"><option value="flatten">Line breaks → spaces</option><option value="keep">Keep line breaks</option><option value="escape">Line breaks as \n</option></select>}
+                </div>
+              )}
               
               {error && <div style={{ marginTop: 16, padding: 12, background: "#fee2e2", color: "#b91c1c", borderRadius: 6, fontSize: 13 }}><strong>Error:</strong> {error}</div>}
               {!isJobActive && preview && (<div style={{ marginTop: 16 }}><h3 style={{ fontSize: 14 }}>Dry Run Preview:</h3><div className="json-preview" dangerouslySetInnerHTML={{ __html: highlightJSON(preview) }}></div></div>)}
@@ -305,18 +633,77 @@ function ProjectWorkspace({ project, updateProject, isActive }) {
   );
 }
 
-function ConfigForm({ file, setFile, isDragging, setIsDragging, update, inputCol, skipCol, targetCols, prompt, contextDoc, model, chunkSize, mode, maxRows, concurrency, isCachedHit, estTokens, barWidth, submitBatch, isSubmitting }) {
+function formatEta(seconds) {
+  return seconds < 90 ? `${seconds}s` : seconds < 5400 ? `${Math.round(seconds / 60)} min` : `${(seconds / 3600).toFixed(1)} h`;
+}
+
+const OUTPUT_TYPES = ["string", "number", "boolean", "enum"];
+const FAILURE_GROUPS = ["api_error", "refusal", "truncation", "unparseable", "missing_id"];
+const FAILURE_GROUP_LABELS = { api_error: "API error", refusal: "Refusal", truncation: "Truncated output", unparseable: "Unparseable JSON", missing_id: "Id not returned" };
+const AUTO_REPAIR_STOP_LABELS = { cancelled: "job cancelled", complete: "all rows filled", max_rounds: "max rounds reached", budget: "next round would exceed the cost limit", csv_missing: "source CSV missing" };
+
+function ConfigForm({ file, setFile, inputFormat, sheet, delimiter, encoding, inputInfo, isInspecting, isDragging, setIsDragging, update, inputMode, inputCol, inputTemplate, inputCols, skipCol, targetCols, outputCols, prompt, contextDoc, model, reasoningEffort, verbosity, temperature, maxOutputTokens, serviceTier, chunkSize, mode, maxRows, concurrency, maxRetries, autoRepair, autoRepairMaxRounds, autoRepairMaxCost, autoRepairFallbackModel, webhookUrl, keyProject, isCachedHit, estTokens, barWidth, submitBatch, isSubmitting, estimate, estimateCost, isEstimating }) {
   const fileInputRef = useRef(null);
+  const caps = capsFor(model);
+  const setOutputCol = (i, fields) => update({ outputCols: outputCols.map((c, j) => j === i ? { ...c, ...fields } : c) });
+  // A picked column goes where the row input mode takes columns
+  function pickColumn(h) {
+    if (inputMode === "column") update({ inputCol: h });
+    else if (inputMode === "columns") { const cols = inputCols.split(",").map(c => c.trim()).filter(Boolean); if (!cols.includes(h)) update({ inputCols: [...cols, h].join(", ") }); }
+    else update({ inputTemplate: `${inputTemplate}{{${h}}}` });
+  }
 
   return (
     <form onSubmit={submitBatch}>
-      <div className={`dropzone ${isDragging ? "active" : ""}`} onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }} onDragLeave={() => setIsDragging(false)} onDrop={(e) => { e.preventDefault(); setIsDragging(false); setFile(e.dataTransfer.files[0]); }} onClick={() => fileInputRef.current.click()}>
-        <input ref={fileInputRef} type="file" accept=".csv" style={{ display: "none" }} onChange={(e) => setFile(e.target.files[0])} />
-        {file ? <p className="file-name">{file.name} ({(file.size/1024).toFixed(1)} KB)</p> : <p>Drag & Drop a CSV file here</p>}
+      <div className={`dropzone ${isDragging ? "active" : ""}`} onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }} onDragLeave={() => setIsDragging(false)} onDrop={(e) => { e.preventDefault(); setIsDragging(false); setFile(e.dataTransfer.files[0]); update({ sheet: "" }); }} onClick={() => fileInputRef.current.click()}>
+        <input ref={fileInputRef} type="file" accept={INPUT_ACCEPT} style={{ display: "none" }} onChange={(e) => { setFile(e.target.files[0]); update({ sheet: "" }); }} />
+        {file ? <p className="file-name">{file.name} ({(file.size/1024).toFixed(1)} KB)</p> : <p>Drag & Drop a CSV, TSV, Excel or JSONL file here</p>}
       </div>
 
+      {file && (
+        <div className="form-group input-picker">
+          <div className="flex-row" style={{ marginBottom: 8 }}>
+            <select value={inputFormat} onChange={(e) => update({ inputFormat: e.target.value, sheet: "", delimiter: "" })} title="Format">
+              <option value="">Format: detect</option><option value="csv">CSV</option><option value="tsv">TSV</option><option value="xlsx">Excel (xlsx)</option><option value="jsonl">JSONL</option>
+            </select>
+            {inputInfo?.sheets && <select value={sheet || inputInfo.sheet} onChange={(e) => update({ sheet: e.target.value })} title="Sheet">{inputInfo.sheets.map(s => <option key={s} value={s}>{s}</option>)}</select>}
+            {inputInfo?.format === "csv" && <select value={delimiter} onChange={(e) => update({ delimiter: e.target.value })} title="Delimiter"><option value="">Delimiter: detect</option>{Object.entries(DELIMITER_LABELS).map(([d, l]) => <option key={l} value={d}>{l}</option>)}</select>}
+            {inputInfo?.encoding && <select value={encoding} onChange={(e) => update({ encoding: e.target.value })} title="Encoding"><option value="">Encoding: detect</option><option value="utf-8">UTF-8</option><option value="utf-16le">UTF-16 LE</option><option value="utf-16be">UTF-16 BE</option><option value="windows-1252">Windows-1252</option></select>}
+          </div>
+          {isInspecting && <span className="hint">Reading file...</span>}
+          {inputInfo?.error && <span className="hint" style={{ color: "#dc2626" }}>{inputInfo.error}</span>}
+          {inputInfo?.headers && (
+            <>
+              <span className="hint">
+                {inputInfo.format.toUpperCase()}{inputInfo.format === "csv" ? ` (${DELIMITER_LABELS[inputInfo.delimiter]})` : ""}{inputInfo.encoding ? ` · ${inputInfo.encoding}` : ""}{inputInfo.sheet ? ` · sheet "${inputInfo.sheet}"` : ""}{inputInfo.rowCount != null ? ` · ${inputInfo.rowCount.toLocaleString()} rows` : ""} — click a column to use it as input
+              </span>
+              <div className="column-chips">
+                {inputInfo.headers.map(h => <button type="button" key={h} className="secondary" title={inputInfo.sample.map(r => r[h]).filter(Boolean).slice(0, 3).join(" | ")} onClick={() => pickColumn(h)}>{h}</button>)}
+              </div>
+            </>
+          )}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>Row Input <span className="hint">What each row sends to the model.</span></label>
+        <select value={inputMode} onChange={(e) => update({inputMode: e.target.value})}>
+          <option value="column">Single column</option>
+          <option value="template">Row template ({"{{column}}"} placeholders)</option>
+          <option value="columns">Several columns (structured object)</option>
+        </select>
+      </div>
+
+      {inputMode === "template" && (
+        <div className="form-group">
+          <label>Row Template <span className="hint">Each <strong>{"{{header}}"}</strong> is replaced by that row's value.</span></label>
+          <textarea rows={3} value={inputTemplate} onChange={(e) => update({inputTemplate: e.target.value})} placeholder={"Title: {{title}}\nBody: {{body}}"} required />
+        </div>
+      )}
+
       <div className="flex-row form-group">
-        <div><label>Input Column</label><input value={inputCol} onChange={(e) => update({inputCol: e.target.value})} placeholder="e.g. text" required /></div>
+        {inputMode === "column" && <div><label>Input Column</label><input value={inputCol} onChange={(e) => update({inputCol: e.target.value})} placeholder="e.g. text" required /></div>}
+        {inputMode === "columns" && <div><label>Input Columns <span className="hint">Comma separated, sent as fields</span></label><input value={inputCols} onChange={(e) => update({inputCols: e.target.value})} placeholder="e.g. title, body" required /></div>}
         <div><label>Skip Column (Optional) <span className="hint">Skip row if this column has data</span></label><input value={skipCol} onChange={(e) => update({skipCol: e.target.value})} placeholder="e.g. result" /></div>
       </div>
 
@@ -325,6 +712,19 @@ function ConfigForm({ file, setFile, isDragging, setIsDragging, update, inputCol
         <input value={targetCols || ""} onChange={(e) => update({targetCols: e.target.value})} placeholder="e.g. French, Spanish" />
       </div>
 
+      <div className="form-group">
+        <label>Output Columns (Optional) <span className="hint">Typed columns the model must return, enforced with a strict JSON Schema. With Multi-Column Targets, a matching name sets that target's type.</span></label>
+        {outputCols.map((c, i) => (
+          <div key={i} className="flex-row" style={{ marginBottom: 8 }}>
+            <input value={c.name} onChange={(e) => setOutputCol(i, {name: e.target.value})} placeholder="Column name" />
+            <select value={c.type} onChange={(e) => setOutputCol(i, {type: e.target.value})}>{OUTPUT_TYPES.map(t => <option key={t} value={t}>{t}</option>)}</select>
+            {c.type === "enum" && <input value={c.values || ""} onChange={(e) => setOutputCol(i, {values: e.target.value})} placeholder="e.g. positive, negative" />}
+            <button type="button" className="secondary" style={{ flex: "0 0 auto" }} onClick={() => update({ outputCols: outputCols.filter((_, j) => j !== i) })}>✕</button>
+          </div>
+        ))}
+        <button type="button" className="secondary" onClick={() => update({ outputCols: [...outputCols, { name: "", type: "string", values: "" }] })}>+ Add Output Column</button>
+      </div>
+
       <div className="form-group"><label>Reference Context (Optional) <span className="hint">Paste large data here to trigger 50% Prompt Caching discount.</span></label><textarea rows={3} value={contextDoc} onChange={(e) => update({contextDoc: e.target.value})} /></div>
       
       <div className="form-group">
@@ -339,7 +739,7 @@ function ConfigForm({ file, setFile, isDragging, setIsDragging, update, inputCol
       </div>
 
       <div className="flex-row form-group">
-        <div><label>Model</label><select value={model} onChange={(e) => update({model: e.target.value})}>
+        <div><label>Model</label><select value={model} onChange={(e) => update({ model: e.target.value, ...paramsForModel(e.target.value, { reasoningEffort, verbosity, temperature, serviceTier }) })}>
             <optgroup label="Current Generation (5.4)"><option value="gpt-5.4-nano">gpt-5.4-nano</option><option value="gpt-5.4-mini">gpt-5.4-mini</option><option value="gpt-5.4">gpt-5.4</option></optgroup>
             <optgroup label="Mid-Generation (5.3)"><option value="gpt-5.3-chat-latest">gpt-5.3 Instant</option></optgroup>
             <optgroup label="Previous Generation"><option value="gpt-5-nano">gpt-5-nano</option><option value="gpt-5-mini">gpt-5-mini</option></optgroup>
@@ -347,29 +747,231 @@ function ConfigForm({ file, setFile, isDragging, setIsDragging, update, inputCol
         <div><label>Mode</label><select value={mode} onChange={(e) => update({mode: e.target.value})}><option value="batch">Batch API (Cheapest)</option><option value="direct">Direct (Instant)</option><option value="dry">Dry Run</option></select></div>
       </div>
 
+      <div className="flex-row form-group">
+        <div><label>Reasoning Effort</label><select value={reasoningEffort || ""} disabled={!caps.reasoningEfforts.length} onChange={(e) => update({reasoningEffort: e.target.value})}>
+            <option value="">Model default</option>{caps.reasoningEfforts.map(v => <option key={v} value={v}>{v}</option>)}
+          </select></div>
+        <div><label>Verbosity</label><select value={verbosity} onChange={(e) => update({verbosity: e.target.value})}>
+            <option value="">Model default</option>{caps.verbosities.map(v => <option key={v} value={v}>{v}</option>)}
+          </select></div>
+        <div><label>Service Tier</label><select value={serviceTier} onChange={(e) => update({serviceTier: e.target.value})}>
+            <option value="">Model default</option>{["auto", "default", "flex", "priority"].map(v => <option key={v} value={v} disabled={v === "flex" && !caps.flex}>{v}</option>)}
+          </select></div>
+      </div>
+
+      <div className="flex-row form-group">
+        <div><label>Temperature <span className="hint">Non-reasoning models only</span></label><input type="number" min={0} max={2} step={0.1} value={temperature} disabled={!caps.temperature} onChange={(e) => update({temperature: e.target.value})} placeholder="Model default" /></div>
+        <div><label>Max Output Tokens <span className="hint">Per request (chunk)</span></label><input type="number" min={1} value={maxOutputTokens} onChange={(e) => update({maxOutputTokens: e.target.value})} placeholder="Model default" /></div>
+      </div>
+
       <div className="flex-row form-group">
         <div><label>Rows/Request (K)</label><input type="number" min={1} max={1000} value={chunkSize} onChange={(e) => update({chunkSize: Number(e.target.value || 1)})} /></div>
         <div><label>Max Test Rows</label><input type="number" min={0} value={maxRows} onChange={(e) => update({maxRows: e.target.value})} /></div>
         {mode === "direct" && <div><label>Concurrency</label><input type="number" min={1} value={concurrency} onChange={(e) => update({concurrency: Number(e.target.value || 1)})} /></div>}
+        {mode === "direct" && <div><label>Retries/Chunk <span className="hint">Then split in half</span></label><input type="number" min={0} max={10} value={maxRetries} onChange={(e) => update({maxRetries: e.target.value})} placeholder="3" /></div>}
       </div>
 
+      {mode === "batch" && (
+        <div className="form-group">
+          <label style={{ display: "flex", gap: 8, alignItems: "baseline" }}>
+            <input type="checkbox" style={{ width: "auto" }} checked={autoRepair} onChange={(e) => update({autoRepair: e.target.checked})} />
+            <span>Auto-repair <span className="hint">Resubmit missing rows after each round finishes</span></span>
+          </label>
+          {autoRepair && (
+            <div className="flex-row">
+              <div><label>Max Rounds</label><input type="number" min={1} value={autoRepairMaxRounds} onChange={(e) => update({autoRepairMaxRounds: Number(e.target.value || 1)})} /></div>
+              <div><label>Max Extra Cost ($) <span className="hint">Repairs only</span></label><input type="number" min={0} step={0.01} value={autoRepairMaxCost} onChange={(e) => update({autoRepairMaxCost: e.target.value})} placeholder="No limit" /></div>
+              <div><label>Fallback Model <span className="hint">From round 2</span></label><input value={autoRepairFallbackModel} onChange={(e) => update({autoRepairFallbackModel: e.target.value.trim()})} placeholder="Same model" /></div>
+            </div>
+          )}
+          <label style={{ marginTop: 8 }}>Webhook URL <span className="hint">POSTed a job summary when the job completes, fails or expires</span></label>
+          <input type="url" value={webhookUrl} onChange={(e) => update({webhookUrl: e.target.value.trim()})} placeholder="https://..." />
+        </div>
+      )}
+
+      <div className="form-group">
+        <label>API Key Project <span className="hint">Run on a project's stored key instead of yours (see Keys)</span></label>
+        <input value={keyProject} onChange={(e) => update({keyProject: e.target.value.trim()})} placeholder="Your key, else the site key" />
+      </div>
+
+      <button type="button" className="secondary" disabled={isEstimating || !file} onClick={estimateCost} style={{ width: "100%", padding: "10px", marginBottom: "12px" }}>{isEstimating ? "Counting tokens..." : "Estimate Tokens & Cost"}</button>
+
+      {estimate && (
+        <div className="form-group" style={{ background: "#f8fafc", padding: "12px", borderRadius: "8px", border: "1px solid #e2e8f0", fontSize: "0.9em" }}>
+          <div style={{display: "flex", justifyContent: "space-between"}}><label style={{margin:0}}>Estimate for {estimate.model}</label><span style={{color: "#64748b"}}>{estimate.rows.toLocaleString()} rows · {estimate.chunks.toLocaleString()} requests</span></div>
+          <div className="token-status"><span>Input</span><span>~{estimate.inputTokens.toLocaleString()} tokens ({estimate.cachedInputTokens.toLocaleString()} cacheable)</span></div>
+          <div className="token-status"><span>Output</span><span>~{estimate.outputTokens.toLocaleString()} tokens{estimate.reasoningTokens > 0 ? ` + ~${estimate.reasoningTokens.toLocaleString()} reasoning` : ""}</span></div>
+          {estimate.pricingKnown ? (
+            <div className="token-status"><span>Cost</span><span><strong>${estimate.cost.batch.toFixed(2)}</strong> batch · <strong>${estimate.cost.direct.toFixed(2)}</strong> direct (${estimate.cost.directWithoutCache.toFixed(2)} without caching)</span></div>
+          ) : <div className="token-status"><span style={{color: "#64748b"}}>No price known for this model; set MODEL_PRICES_JSON to get a cost.</span></div>}
+        </div>
+      )}
+
       <button type="submit" disabled={isSubmitting} style={{ width: "100%", padding: "12px" }}>{isSubmitting ? "Processing..." : "Launch Data Job"}</button>
     </form>
   );
 }
 
+function newProject(fields = {}) {
+  return { id: generateId(), name: "New Project", inputFormat: "", sheet: "", delimiter: "", encoding: "", inputMode: "column", inputCol: "text", inputTemplate: "", inputCols: "", skipCol: "", targetCols: "", outputCols: [], prompt: "Translate the user input into English.", contextDoc: "", model: "gpt-5.4-nano", chunkSize: 500, reasoningEffort: "medium", verbosity: "", temperature: "", maxOutputTokens: "", serviceTier: "", mode: "batch", concurrency: 4, maxRows: "", jobId: null, batchIds: [], batchStates: [], status: "", jobStats: { completed: 0, total: 0 }, analysis: null, spend: null, lastRunMode: "batch", autoRepair: false, autoRepairMaxRounds: 3, autoRepairMaxCost: "", autoRepairFallbackModel: "", autoRepairInfo: null, webhookUrl: "", maxRetries: "", directFailures: [], outputFormat: "csv", outputNewlines: "flatten", outputColumns: "all", keyProject: "", ...fields };
+}
+
+// A project tab for a job from the server-side history, with its stored spec loaded back into the form.
+function projectFromJob(job, meta) {
+  const spec = meta || {};
+  const params = spec.modelParams || {};
+  const list = (v) => Array.isArray(v) ? v.join(", ") : (v || "");
+  return newProject({
+    name: job.name || job.jobId.slice(0, 8), sheet: spec.input?.sheet || "",
+    inputMode: spec.inputMode || "column", inputCol: spec.inputCol || "text", inputTemplate: spec.inputTemplate || "", inputCols: list(spec.inputCols), skipCol: spec.skipCol || "",
+    targetCols: list(spec.targetCols), outputCols: (spec.outputCols || []).map(c => ({ name: c.name, type: c.type, values: list(c.values) })),
+    prompt: spec.prompt || "", contextDoc: spec.contextDoc || "", model: spec.model || job.model, chunkSize: spec.chunkSize || 500,
+    reasoningEffort: params.reasoningEffort || "", verbosity: params.verbosity || "", temperature: params.temperature ?? "", maxOutputTokens: params.maxOutputTokens || "", serviceTier: params.serviceTier || "",
+    mode: job.mode, concurrency: spec.concurrency || 4, maxRetries: spec.maxRetries ?? "",
+    autoRepair: Boolean(spec.autoRepair), autoRepairMaxRounds: spec.autoRepair?.maxRounds || 3, autoRepairMaxCost: spec.autoRepair?.maxCostUsd ?? "", autoRepairFallbackModel: spec.autoRepair?.fallbackModel || "", webhookUrl: spec.webhookUrl || "",
+    keyProject: spec.apiKeyRef?.scope === "project" ? spec.apiKeyRef.id : "",
+    jobId: job.jobId, batchIds: job.mode === "direct" ? [job.jobId] : (job.batchIds || []), status: job.status === "queued" ? "running" : job.status, lastRunMode: job.mode,
+  });
+}
+
+const JOB_STATUSES = ["submitted", "in_progress", "completed", "partial", "failed", "cancelled", "expired", "queued", "running", "paused", "ready"];
+
+function HistoryView({ onOpen, openJobIds }) {
+  const [filters, setFilters] = useState({ q: "", status: "", model: "", from: "", to: "", owner: "" });
+  const [jobs, setJobs] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function load(e) {
+    e?.preventDefault(); setIsLoading(true); setError("");
+    try {
+      const params = new URLSearchParams(Object.entries(filters).filter(([, v]) => v));
+      const r = await apiFetch(`job-list?${params}`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || "Could not load job history");
+      setJobs(j.jobs); setTotal(j.total);
+    } catch (err) { setError(err.message); } finally { setIsLoading(false); }
+  }
+  useEffect(() => { load(); }, []);
+
+  const setFilter = (fields) => setFilters(prev => ({ ...prev, ...fields }));
+
+  return (
+    <div className="card">
+      <h2>Job History</h2>
+      <form onSubmit={load} className="flex-row form-group">
+        <div><label>Name</label><input value={filters.q} onChange={(e) => setFilter({ q: e.target.value })} placeholder="Search names" /></div>
+        <div><label>Status</label><select value={filters.status} onChange={(e) => setFilter({ status: e.target.value })}><option value="">Any</option>{JOB_STATUSES.map(s => <option key={s} value={s}>{s.replace("_", " ")}</option>)}</select></div>
+        <div><label>Model</label><input value={filters.model} onChange={(e) => setFilter({ model: e.target.value })} placeholder="e.g. gpt-5.4-mini" /></div>
+        <div><label>From</label><input type="date" value={filters.from} onChange={(e) => setFilter({ from: e.target.value })} /></div>
+        <div><label>To</label><input type="date" value={filters.to} onChange={(e) => setFilter({ to: e.target.value })} /></div>
+        <div><label>Owner</label><select value={filters.owner} onChange={(e) => setFilter({ owner: e.target.value })}><option value="">Anyone</option><option value="me">Me</option></select></div>
+        <div style={{ flex: "0 0 auto", alignSelf: "flex-end" }}><button type="submit" disabled={isLoading}>{isLoading ? "Loading..." : "Search"}</button></div>
+      </form>
+
+      {error && <div style={{ marginBottom: 16, padding: 12, background: "#fee2e2", color: "#b91c1c", borderRadius: 6, fontSize: 13 }}><strong>Error:</strong> {error}</div>}
+
+      <p style={{ fontSize: 13, color: "#555" }}>{total} job{total === 1 ? "" : "s"}{jobs.length < total ? ` (showing ${jobs.length})` : ""}</p>
+      <div className="table-container">
+        <table>
+          <thead><tr><th>Name</th><th>Owner</th><th>Mode</th><th>Model</th><th>Status</th><th>Rows</th><th>Created</th><th></th></tr></thead>
+          <tbody>{jobs.map(j => (
+            <tr key={j.jobId}>
+              <td>{j.name}</td><td>{j.owner?.email || j.owner?.id || ""}</td><td>{j.mode}</td><td>{j.model}</td><td style={{ textTransform: "capitalize" }}>{(j.status || "").replace("_", " ")}</td><td>{j.rowCount ?? ""}</td>
+              <td>{j.createdAt ? new Date(j.createdAt).toLocaleString() : ""}</td>
+              <td><button className="secondary" onClick={() => onOpen(j.jobId)}>{openJobIds.includes(j.jobId) ? "Show" : "Open"}</button></td>
+            </tr>
+          ))}</tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+// Stored OpenAI keys: your own, and a project's (used by jobs submitted with that API Key Project).
+function ApiKeysView() {
+  const [info, setInfo] = useState(null);
+  const [project, setProject] = useState("");
+  const [apiKey, setApiKey] = useState("");
+  const [scope, setScope] = useState("user");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  async function load(e) {
+    e?.preventDefault(); setError("");
+    try {
+      const r = await apiFetch(`api-keys${project ? `?project=${encodeURIComponent(project)}` : ""}`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || "Could not load keys");
+      setInfo(j); if (!j.canStoreUser) setScope("project");
+    } catch (err) { setError(err.message); }
+  }
+  useEffect(() => { load(); }, []);
+
+  async function save(e) {
+    e.preventDefault(); setIsSaving(true); setError("");
+    try {
+      const r = await apiFetch("api-keys", { method: "PUT", headers: { "Content-Type": "application/json" }, body: JSON.stringify({ scope, project, apiKey }) });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || "Could not save the key");
+      setApiKey(""); await load();
+    } catch (err) { setError(err.message); } finally { setIsSaving(false); }
+  }
+
+  async function remove(keyScope) {
+    if (!window.confirm(`Remove the ${keyScope} key? Running jobs submitted with it will stop working.`)) return;
+    setError("");
+    try {
+      const r = await apiFetch(`api-keys?scope=${keyScope}&project=${encodeURIComponent(project)}`, { method: "DELETE" });
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || "Could not remove the key");
+      await load();
+    } catch (err) { setError(err.message); }
+  }
+
+  const describe = (k) => k ? `…${k.last4}, updated ${new Date(k.updatedAt).toLocaleString()}${k.updatedBy ? ` by ${k.updatedBy}` : ""}` : "none";
+
+  return (
+    <div className="card">
+      <h2>API Keys</h2>
+      <p style={{ fontSize: 13, color: "#555" }}>Jobs run on the API Key Project's key if one is set, else on your key, else on the site's key{info && !info.env ? " (none configured)" : ""}. Keys are stored encrypted and only their last 4 characters are shown.</p>
+      <form onSubmit={load} className="flex-row form-group">
+        <div><label>Project</label><input value={project} onChange={(e) => setProject(e.target.value.trim())} placeholder="Project name" /></div>
+        <div style={{ flex: "0 0 auto", alignSelf: "flex-end" }}><button type="submit" className="secondary">Look up</button></div>
+      </form>
+      {info && (
+        <div className="form-group" style={{ fontSize: 13 }}>
+          <div className="token-status"><span>Your key</span><span>{info.canStoreUser ? describe(info.user) : "needs a personal sign-in (the team secret is shared)"} {info.user && <button type="button" className="secondary" onClick={() => remove("user")}>Remove</button>}</span></div>
+          {project && <div className="token-status"><span>{project}</span><span>{info.projectError || describe(info.project)} {info.project && <button type="button" className="secondary" onClick={() => remove("project")}>Remove</button>}</span></div>}
+        </div>
+      )}
+      {info && !info.canStore ? <p style={{ fontSize: 13, color: "#64748b" }}>Set KEY_ENCRYPTION_SECRET on the site to store keys.</p> : (
+        <form onSubmit={save} className="flex-row form-group">
+          <div><label>Store for</label><select value={scope} onChange={(e) => setScope(e.target.value)}><option value="user" disabled={!info?.canStoreUser}>Me</option><option value="project" disabled={!project || Boolean(info?.projectError)}>Project {project}</option></select></div>
+          <div><label>OpenAI API Key</label><input type="password" autoComplete="off" value={apiKey} onChange={(e) => setApiKey(e.target.value.trim())} placeholder="sk-..." /></div>
+          <div style={{ flex: "0 0 auto", alignSelf: "flex-end" }}><button type="submit" disabled={isSaving || !apiKey}>{isSaving ? "Saving..." : "Save Key"}</button></div>
+        </form>
+      )}
+      {error && <div style={{ marginBottom: 16, padding: 12, background: "#fee2e2", color: "#b91c1c", borderRadius: 6, fontSize: 13 }}><strong>Error:</strong> {error}</div>}
+    </div>
+  );
+}
+
 export default function App() {
   const [projects, setProjects] = useState(() => {
     const saved = localStorage.getItem("batch-csv-projects");
     if (saved) { try { return JSON.parse(saved); } catch (e) {} }
-    return [{ id: generateId(), name: "New Project", inputCol: "text", skipCol: "", targetCols: "", prompt: "Translate the user input into English.", contextDoc: "", model: "gpt-5.4-nano", chunkSize: 500, reasoningEffort: "medium", mode: "batch", concurrency: 4, maxRows: "", batchIds: [], status: "", jobStats: { completed: 0, total: 0 }, analysis: null, lastRunMode: "batch" }];
+    return [newProject()];
   });
   const [activeId, setActiveId] = useState(projects[0]?.id);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showKeys, setShowKeys] = useState(false);
 
   useEffect(() => { localStorage.setItem("batch-csv-projects", JSON.stringify(projects)); }, [projects]);
 
   const addProject = () => {
-    const p = { id: generateId(), name: "New Project", inputCol: "text", skipCol: "", targetCols: "", prompt: "Translate...", contextDoc: "", model: "gpt-5.4-nano", chunkSize: 500, reasoningEffort: "medium", mode: "batch", concurrency: 4, maxRows: "", batchIds: [], status: "", jobStats: { completed: 0, total: 0 }, analysis: null, lastRunMode: "batch" };
+    const p = newProject({ prompt: "Translate..." });
     setProjects([...projects, p]);
     setActiveId(p.id);
   };
@@ -385,21 +987,41 @@ export default function App() {
     setProjects(prev => prev.map(p => p.id === id ? { ...p, ...partialState } : p));
   };
 
+  // Reopens a job from the history, reusing its tab if it is already open.
+  const openJob = async (jobId) => {
+    const existing = projects.find(p => p.jobId === jobId);
+    if (existing) { setActiveId(existing.id); setShowHistory(false); return; }
+    try {
+      const r = await apiFetch(`job-list?id=${encodeURIComponent(jobId)}`);
+      const j = await r.json();
+      if (!r.ok) throw new Error(j.error || "Could not load job");
+      const p = projectFromJob(j.job, j.meta);
+      setProjects(prev => [...prev, p]);
+      setActiveId(p.id); setShowHistory(false);
+    } catch (e) { window.alert(e.message); }
+  };
+
   return (
     <div className="container">
       
       <div className="tabs-container">
         {projects.map(p => (
-          <div key={p.id} className={`project-tab ${activeId === p.id ? 'active' : ''}`} onClick={() => setActiveId(p.id)}>
+          <div key={p.id} className={`project-tab ${activeId === p.id && !showHistory ? 'active' : ''}`} onClick={() => { setActiveId(p.id); setShowHistory(false); }}>
             {p.name}
             {projects.length > 1 && <button className="close-btn" onClick={(e) => { e.stopPropagation(); deleteProject(p.id); }}>✕</button>}
           </div>
         ))}
-        <button className="new-project-btn" onClick={addProject} style={{marginLeft: 12}}>+ New Project</button>
+        <button className="new-project-btn" onClick={() => { addProject(); setShowHistory(false); }} style={{marginLeft: 12}}>+ New Project</button>
+        <button className={`new-project-btn ${showHistory ? 'active' : ''}`} onClick={() => setShowHistory(!showHistory)} style={{marginLeft: 8}}>History</button>
+        <button className={`new-project-btn ${showKeys ? 'active' : ''}`} onClick={() => setShowKeys(!showKeys)} style={{marginLeft: 8}}>Keys</button>
       </div>
 
+      {showKeys && <ApiKeysView />}
+
+      {showHistory && <HistoryView onOpen={openJob} openJobIds={projects.map(p => p.jobId).filter(Boolean)} />}
+
       {projects.map(p => (
-        <ProjectWorkspace key={p.id} project={p} updateProject={updateProject} isActive={activeId === p.id} />
+        <ProjectWorkspace key={p.id} project={p} updateProject={updateProject} isActive={activeId === p.id && !showHistory} />
       ))}
       
       {projects.length === 0 && <div style={{textAlign:"center", padding: 40}}><button onClick={addProject}>Create Project</button></div>}
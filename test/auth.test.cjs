@@ -0,0 +1,102 @@
+const { test, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { authenticate, ownerOf } = require("../netlify/lib/auth.cjs");
+const { userKeyId } = require("../netlify/lib/api-keys.cjs");
+const { signValue } = require("../netlify/lib/downloads.cjs");
+
+const ENV = ["AUTH_SHARED_SECRET", "AUTH_USER_TOKENS", "AUTH_IDENTITY", "DOWNLOAD_SIGNING_SECRET", "KEY_ENCRYPTION_SECRET", "OPENAI_API_KEY"];
+afterEach(() => { for (const k of ENV) delete process.env[k]; });
+
+const call = (token, user) => ({ headers: { authorization: `Bearer ${token}`, ...(user ? { "x-user": user } : {}) } });
+
+test("personal tokens identify their user, whatever X-User says", () => {
+  process.env.AUTH_USER_TOKENS = "ann@example.com=tok-ann, bob=tok=bob";
+  assert.deepEqual(authenticate(call("tok-ann", "bob")).user, { id: "ann@example.com", email: "ann@example.com", via: "token", verified: true });
+  assert.equal(authenticate(call("tok=bob")).user.id, "bob");
+  assert.equal(authenticate(call("tok-eve")).status, 401);
+});
+
+test("the team secret is shared: X-User is an unverified label without user keys", () => {
+  process.env.AUTH_SHARED_SECRET = "team-secret";
+  process.env.AUTH_USER_TOKENS = "ann=tok-ann";
+  const { user } = authenticate(call("team-secret", "ann"));
+  assert.deepEqual(user, { id: "ann", email: null, via: "secret", verified: false });
+  assert.equal(userKeyId(user), null);
+  assert.deepEqual(ownerOf(user), { id: "ann", email: null, verified: false });
+  assert.equal(userKeyId(authenticate(call("tok-ann")).user), "ann");
+});
+
+test("Netlify Identity users are verified", () => {
+  process.env.AUTH_IDENTITY = "1";
+  const { user } = authenticate({ headers: {} }, { clientContext: { user: { sub: "U-1", email: "u@example.com" } } });
+  assert.deepEqual(user, { id: "u-1", email: "u@example.com", via: "identity", verified: true });
+  assert.equal(authenticate({ headers: {} }, {}).status, 401);
+});
+
+test("with no sign-in configured callers are anonymous", () => {
+  assert.deepEqual(authenticate(call("anything")), { user: null });
+});
+
+test("project keys are limited to the members in PROJECT_MEMBERS", async () => {
+  const { projectAccessError, resolveKeyRef } = require("../netlify/lib/api-keys.cjs");
+  const { memoryStore } = require("./helpers/memory-store.cjs");
+  const store = memoryStore();
+  await store.set("keys/project/research.json", JSON.stringify({ last4: "abcd" }));
+  process.env.AUTH_USER_TOKENS = "ann=tok-ann,bob=tok-bob";
+  process.env.AUTH_SHARED_SECRET = "team-secret";
+  process.env.PROJECT_MEMBERS = JSON.stringify({ research: ["Ann"] });
+  try {
+    const ann = authenticate(call("tok-ann")).user;
+    const bob = authenticate(call("tok-bob")).user;
+    const claimsAnn = authenticate(call("team-secret", "ann")).user;
+    assert.equal(projectAccessError(ann, "research"), null);
+    assert.match(projectAccessError(bob, "research"), /not a member/);
+    assert.match(projectAccessError(claimsAnn, "research"), /not a member/);
+    assert.match(projectAccessError(ann, "other"), /no members configured/);
+    assert.deepEqual(await resolveKeyRef(store, { user: ann, project: "research" }), { ref: { scope: "project", id: "research" } });
+    assert.equal((await resolveKeyRef(store, { user: bob, project: "research" })).status, 403);
+  } finally { delete process.env.PROJECT_MEMBERS; }
+});
+
+test("a job submitted with a personal sign-in is its owner's alone; team jobs are shared", async () => {
+  const { jobAccessError } = require("../netlify/lib/jobs.cjs");
+  const { memoryStore } = require("./helpers/memory-store.cjs");
+  const store = memoryStore();
+  process.env.AUTH_USER_TOKENS = "ann=tok-ann,bob=tok-bob";
+  process.env.AUTH_SHARED_SECRET = "team-secret";
+  const ann = authenticate(call("tok-ann")).user;
+  const bob = authenticate(call("tok-bob")).user;
+  const claimsAnn = authenticate(call("team-secret", "ann")).user;
+  await store.set("jobs/job-a.json", JSON.stringify({ jobId: "job-a", batchIds: ["batch_a"], owner: ownerOf(ann) }));
+  await store.set("jobs/batch_a.json", JSON.stringify({ jobId: "job-a", batchId: "batch_a" }));
+  await store.set("jobs/job-t.json", JSON.stringify({ jobId: "job-t", owner: ownerOf(claimsAnn) }));
+  assert.equal(await jobAccessError(store, ann, "job-a"), null);
+  assert.equal(await jobAccessError(store, ann, "batch_a"), null);
+  assert.match(await jobAccessError(store, bob, "batch_a"), /another user/);
+  assert.match(await jobAccessError(store, claimsAnn, "job-a"), /another user/);
+  assert.equal(await jobAccessError(store, bob, "job-t"), null);
+  delete process.env.AUTH_USER_TOKENS; delete process.env.AUTH_SHARED_SECRET;
+  assert.equal(await jobAccessError(store, null, "job-a"), null);
+});
+
+test("an upload started with a personal sign-in is invisible to everyone else", async () => {
+  const { loadUpload, saveUpload } = require("../netlify/lib/uploads.cjs");
+  const { memoryStore } = require("./helpers/memory-store.cjs");
+  const store = memoryStore();
+  process.env.AUTH_USER_TOKENS = "ann=tok-ann,bob=tok-bob";
+  const ann = authenticate(call("tok-ann")).user;
+  const bob = authenticate(call("tok-bob")).user;
+  await saveUpload(store, { uploadId: "up-1", fileName: "a.csv", size: 3, partSize: 3, parts: 1, owner: ownerOf(ann) });
+  assert.equal((await loadUpload(store, "up-1", ann)).uploadId, "up-1");
+  assert.equal(await loadUpload(store, "up-1", bob), null);
+  assert.equal(await loadUpload(store, "up-2", ann), null);
+});
+
+test("links are never signed with the OpenAI key", () => {
+  process.env.OPENAI_API_KEY = "sk-provider";
+  assert.throws(() => signValue("x"), /Set DOWNLOAD_SIGNING_SECRET/);
+  process.env.AUTH_SHARED_SECRET = "team-secret";
+  const derived = signValue("x");
+  process.env.DOWNLOAD_SIGNING_SECRET = "links";
+  assert.notEqual(signValue("x"), derived);
+});
@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { batchLimits, approxEnqueuedTokens, splitBatchLines } = require("../netlify/lib/batch-split.cjs");
+const { countTokens } = require("../netlify/lib/estimate.cjs");
+const { jobSpecFromFields, buildRequestBody } = require("../netlify/lib/job-spec.cjs");
+
+const spec = jobSpecFromFields({ inputCol: "text", model: "gpt-5-mini" });
+const request = (i) => {
+  const body = buildRequestBody(spec, [{ id: i, text: `row number ${i} `.repeat(50) }]);
+  return { body, line: JSON.stringify({ custom_id: `r${i}`, method: "POST", url: "/v1/responses", body }) };
+};
+
+test("enqueued-token limits come from the model unless configured", () => {
+  assert.equal(batchLimits({}, "gpt-5-mini-2025-08-07").maxTokens, 5000000);
+  assert.equal(batchLimits({}, "gpt-5.4").maxTokens, 1500000);
+  assert.equal(batchLimits({}, "some-new-model").maxTokens, 900000);
+  assert.equal(batchLimits({ BATCH_MAX_ENQUEUED_TOKENS: "1234" }, "gpt-5-mini").maxTokens, 1234);
+});
+
+test("tokens are counted with the tokenizer, plus the output budget", () => {
+  const { body } = request(1);
+  const content = body.input.reduce((sum, m) => sum + countTokens(m.content), 0);
+  const tokens = approxEnqueuedTokens(body);
+  assert.ok(tokens > content && tokens < content + countTokens(JSON.stringify(body.text.format)) + 20);
+  assert.equal(approxEnqueuedTokens({ ...body, max_output_tokens: 500 }), tokens + 500);
+});
+
+test("requests are split at the token limit, in order", () => {
+  const lines = Array.from({ length: 10 }, (_, i) => request(i));
+  const perRequest = approxEnqueuedTokens(lines[0].body);
+  const groups = splitBatchLines(lines, { maxRequests: 50000, maxBytes: Infinity, maxTokens: perRequest * 3 + 10 });
+  assert.deepEqual(groups.map((g) => g.requests), [3, 3, 3, 1]);
+  assert.deepEqual(groups.flatMap((g) => g.items.map((it) => it.body)), lines.map((l) => l.body));
+  assert.ok(groups.every((g) => g.tokens <= perRequest * 3 + 10));
+  assert.throws(() => splitBatchLines(lines, { maxRequests: 50000, maxBytes: Infinity, maxTokens: 10 }), /batch queue limit/);
+});
@@ -0,0 +1,21 @@
+// test/helpers/memory-store.cjs
+// In-memory stand-in for the @netlify/blobs store, covering the calls the functions make.
+
+function memoryStore() {
+  const blobs = new Map();
+  return {
+    blobs,
+    async get(key, { type } = {}) {
+      if (!blobs.has(key)) return null;
+      const value = blobs.get(key);
+      return type === "json" ? JSON.parse(value) : value;
+    },
+    async set(key, value) { blobs.set(key, typeof value === "string" ? value : JSON.stringify(value)); },
+    async delete(key) { blobs.delete(key); },
+    async list({ prefix = "" } = {}) {
+      return { blobs: [...blobs.keys()].filter((key) => key.startsWith(prefix)).map((key) => ({ key })) };
+    },
+  };
+}
+
+module.exports = { memoryStore };
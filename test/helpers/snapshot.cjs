@@ -0,0 +1,28 @@
+// test/helpers/snapshot.cjs
+// JSON snapshots for node:test, stored in test/__snapshots__/<test file>.json.
+// A missing snapshot is written on the first run; under CI it fails instead. UPDATE_SNAPSHOTS=1 rewrites them.
+
+const fs = require("node:fs");
+const path = require("node:path");
+const assert = require("node:assert/strict");
+
+function snapshotter(testFile) {
+  const file = path.join(__dirname, "..", "__snapshots__", `${path.basename(testFile)}.json`);
+  const saved = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+  const update = process.env.UPDATE_SNAPSHOTS === "1";
+  let dirty = false;
+
+  return function matchSnapshot(name, value) {
+    const actual = JSON.parse(JSON.stringify(value));
+    if (update || !(name in saved)) {
+      if (!update && process.env.CI) assert.fail(`Missing snapshot "${name}"; run the tests once without CI to write it`);
+      saved[name] = actual;
+      if (!dirty) process.on("exit", () => fs.writeFileSync(file, JSON.stringify(saved, null, 2) + "\n"));
+      dirty = true;
+      return;
+    }
+    assert.deepEqual(actual, saved[name], `Snapshot "${name}" changed; run with UPDATE_SNAPSHOTS=1 if that is intended`);
+  };
+}
+
+module.exports = { snapshotter };
@@ -0,0 +1,77 @@
+// Input files are read one row at a time, so a job's row count is bounded by time, not memory.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const { Readable } = require("node:stream");
+const { readInput, previewInput } = require("../netlify/lib/input-format.cjs");
+const { collectItems, inputSpecFromFields } = require("../netlify/lib/rows.cjs");
+
+const ROWS = 500000;
+// Every hundredth row has input; the rest are marked done and skipped
+const spec = inputSpecFromFields({ inputCol: "text", skipCol: "done" });
+
+// The CSV of ROWS generated rows, produced in chunks as it is read
+function* csvChunks(delimiter = ",") {
+  yield ["id", "text", "done"].join(delimiter) + "\n";
+  for (let start = 0; start < ROWS; start += 1000) {
+    let chunk = "";
+    for (let i = start; i < start + 1000; i++) chunk += [i, `row ${i}`, i % 100 ? "x" : ""].join(delimiter) + "\n";
+    yield chunk;
+  }
+}
+
+test("a 500k-row upload is streamed into items", async () => {
+  const file = { open: () => Readable.from(csvChunks()) };
+  const { info, headers, rowCount, items } = await readInput(file, { fileName: "big.csv", spec });
+  assert.equal(info.format, "csv");
+  assert.deepEqual(headers, ["id", "text", "done"]);
+  assert.equal(rowCount, ROWS);
+  assert.equal(items.length, ROWS / 100);
+  assert.deepEqual(items.at(-1), { id: ROWS - 100, text: `row ${ROWS - 100}` });
+});
+
+test("collectItems takes rows from a generator", () => {
+  function* rows() { for (let i = 0; i < ROWS; i++) yield { text: `row ${i}`, done: i % 100 ? "x" : "" }; }
+  const items = collectItems(rows(), spec);
+  assert.equal(items.length, ROWS / 100);
+  assert.deepEqual(items[1], { id: 100, text: "row 100" });
+});
+
+test("other delimiters are converted to comma CSV while they are read", async () => {
+  const file = { open: () => Readable.from(csvChunks(";")) };
+  const input = await readInput(file, { fileName: "big.csv", spec, maxRows: 1000, convert: true });
+  try {
+    assert.equal(input.info.delimiter, ";");
+    assert.equal(input.rowCount, ROWS);
+    assert.equal(input.items.length, 10);
+    const csv = fs.readFileSync(input.csvPath, "utf8");
+    assert.ok(csv.startsWith("﻿id,text,done\n0,row 0,\n1,row 1,x\n"));
+    assert.ok(csv.endsWith(`${ROWS - 1},row ${ROWS - 1},x\n`));
+  } finally {
+    fs.rmSync(input.csvPath, { force: true });
+  }
+});
+
+test("JSONL columns are the keys of every line, kept multi-line in the converted CSV", async () => {
+  const text = '{"text":"a","meta":{"lang":"fr"}}\n\n{"text":"two\\nlines","extra":1}\n';
+  const input = await readInput({ buffer: Buffer.from(text) }, { fileName: "in.jsonl", spec: inputSpecFromFields({ inputCol: "text" }), convert: true });
+  try {
+    assert.deepEqual(input.headers, ["text", "meta.lang", "extra"]);
+    assert.deepEqual(input.items, [{ id: 0, text: "a" }, { id: 1, text: "two\nlines" }]);
+    assert.equal(fs.readFileSync(input.csvPath, "utf8"), '﻿text,meta.lang,extra\na,fr,\n"two\nlines",,1\n');
+  } finally {
+    fs.rmSync(input.csvPath, { force: true });
+  }
+  await assert.rejects(readInput({ buffer: Buffer.from('{"text":"a"}\n[1]\n') }, { fileName: "in.jsonl", spec }), /JSONL line 2 is not an object/);
+});
+
+test("a preview reads the first rows and counts the rest", async () => {
+  const tsv = "text\tn\n" + Array.from({ length: 20 }, (_, i) => `t${i}\t${i}`).join("\n");
+  const preview = await previewInput({ buffer: Buffer.from(tsv, "utf16le") }, { fileName: "in.tsv", limit: 2 });
+  assert.equal(preview.info.encoding, "utf-16le");
+  assert.deepEqual(preview.headers, ["text", "n"]);
+  assert.deepEqual(preview.rows, [{ text: "t0", n: "0" }, { text: "t1", n: "1" }]);
+  assert.equal(preview.rowCount, 20);
+  const csv = await previewInput({ buffer: Buffer.from("﻿a,b\n1,2\n") }, { fileName: "in.csv" });
+  assert.deepEqual([csv.headers, csv.rows, csv.rowCount], [["a", "b"], [{ a: "1", b: "2" }], 1]);
+});
@@ -0,0 +1,77 @@
+// Pins the request bodies built from a job spec, and checks that a dry run sends what the real run sends.
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { jobSpecFromFields, systemPrompt, buildRequestBody, planChunks } = require("../netlify/lib/job-spec.cjs");
+const { collectItems } = require("../netlify/lib/rows.cjs");
+const matchSnapshot = require("./helpers/snapshot.cjs").snapshotter(__filename);
+
+const rows = [
+  { text: "Bonjour", title: "Greeting", lang: "fr", done: "" },
+  { text: "Hola", title: "Greeting", lang: "es", done: "" },
+  { text: "Ciao", title: "Farewell", lang: "it", done: "x" },
+  { text: "Hallo", title: "Greeting", lang: "de", done: "" },
+];
+
+const CASES = {
+  model: { inputCol: "text", model: "gpt-5.3-chat-latest", prompt: "Translate to English.", temperature: "0.2", chunkSize: "2" },
+  reasoning: { inputCol: "text", model: "gpt-5.4-mini", prompt: "Translate to English.", reasoning_effort: "high", verbosity: "low", max_output_tokens: "2000", contextDoc: "Glossary: Hola = Hello", chunkSize: "2" },
+  columns: {
+    inputMode: "columns", inputCols: "title, text", skipCol: "done", targetCols: "en, de", model: "gpt-5-mini", reasoning_effort: "minimal",
+    prompt: "Translate ${columnName} and label the tone.", chunkSize: "2",
+    outputCols: JSON.stringify([{ name: "tone", type: "enum", values: "formal, casual" }, { name: "confidence", type: "number" }]),
+  },
+  template: { inputMode: "template", inputTemplate: "{{title}}: {{text}} ({{lang}})", model: "gpt-5.4-nano", chunkSize: "3" },
+};
+
+// What batch-create does for the real run: every planned chunk with its target column
+function realRequests(fields) {
+  const spec = jobSpecFromFields(fields, { batch: true });
+  return planChunks(collectItems(rows, spec), spec).map((chunk) => buildRequestBody(spec, chunk.rows, { targetCol: chunk.targetCol }));
+}
+
+// What batch-create does for a dry run: the first rows, with the first target column
+function dryRunRequest(fields) {
+  const spec = jobSpecFromFields(fields, { batch: false });
+  const items = collectItems(rows, spec);
+  return buildRequestBody(spec, items.slice(0, Math.min(spec.chunkSize, 5)), { targetCol: spec.targetCols[0] || null });
+}
+
+for (const [name, fields] of Object.entries(CASES)) {
+  test(`${name}: system prompt`, () => {
+    const spec = jobSpecFromFields(fields);
+    const targets = spec.targetCols.length ? spec.targetCols : [null];
+    matchSnapshot(`${name} systemPrompt`, targets.map((t) => systemPrompt(spec, t)));
+  });
+
+  test(`${name}: real run request bodies`, () => {
+    matchSnapshot(`${name} real run`, realRequests(fields));
+  });
+
+  test(`${name}: dry run sends the real run's first request`, () => {
+    const dry = dryRunRequest(fields);
+    const first = realRequests(fields)[0];
+    const rowsOf = (body) => JSON.parse(body.input[2].content).rows;
+    assert.deepEqual({ ...dry, input: dry.input.slice(0, 2) }, { ...first, input: first.input.slice(0, 2) });
+    assert.deepEqual(rowsOf(dry), rowsOf(first).slice(0, rowsOf(dry).length));
+    matchSnapshot(`${name} dry run`, dry);
+  });
+}
+
+test("a spec stored in meta rebuilds the same body", () => {
+  const spec = jobSpecFromFields(CASES.columns, { batch: true });
+  const stored = JSON.parse(JSON.stringify({ jobId: "j1", ...spec }));
+  const [chunk] = planChunks(collectItems(rows, stored), stored);
+  assert.deepEqual(buildRequestBody(stored, chunk.rows, { targetCol: chunk.targetCol }), realRequests(CASES.columns)[0]);
+});
+
+test("a fallback model keeps everything else", () => {
+  const spec = jobSpecFromFields(CASES.reasoning);
+  const body = buildRequestBody(spec, [{ id: 0, text: "Hola" }], { model: "gpt-5.4" });
+  assert.equal(body.model, "gpt-5.4");
+  assert.deepEqual({ ...body, model: spec.model }, buildRequestBody(spec, [{ id: 0, text: "Hola" }]));
+});
+
+test("unsupported parameters are rejected up front", () => {
+  assert.throws(() => jobSpecFromFields({ model: "gpt-5.3-chat-latest", reasoning_effort: "medium" }), /does not support reasoning_effort/);
+  assert.throws(() => jobSpecFromFields({ model: "gpt-5-mini", service_tier: "flex" }, { batch: true }), /not available in Batch mode/);
+});
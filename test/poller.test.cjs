@@ -0,0 +1,127 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { memoryStore } = require("./helpers/memory-store.cjs");
+const { needsPoll, pollJob } = require("../netlify/lib/poller.cjs");
+const { writeJobIndex, activeJobEntries } = require("../netlify/lib/jobs.cjs");
+const { MAX_WEBHOOK_ATTEMPTS } = require("../netlify/lib/webhook.cjs");
+
+// Fake OpenAI: GET /v1/batches/<id> answers from `batches`. The poller only retrieves batches.
+const batches = new Map();
+// Webhook receiver: records each POST and answers with `webhookStatus`.
+const webhooks = [];
+let webhookStatus = 200;
+
+function listen(handler) {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => { body += c; });
+    req.on("end", () => handler(req, res, body));
+  });
+  return new Promise((resolve) => server.listen(0, "127.0.0.1", () => resolve(server)));
+}
+
+let openaiServer, webhookServer, client;
+
+before(async () => {
+  openaiServer = await listen((req, res) => {
+    const found = batches.get(/^\/v1\/batches\/([^/]+)$/.exec(req.url)?.[1]);
+    res.writeHead(found ? 200 : 404, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(found || { error: { message: "not found" } }));
+  });
+  webhookServer = await listen((req, res, body) => {
+    webhooks.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+    res.writeHead(webhookStatus);
+    res.end();
+  });
+  process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+  const { default: OpenAI } = await import("openai");
+  client = new OpenAI({ apiKey: "sk-test", baseURL: `http://127.0.0.1:${openaiServer.address().port}/v1`, maxRetries: 0 });
+});
+
+after(() => {
+  delete process.env.WEBHOOK_ALLOWED_HOSTS;
+  openaiServer.close();
+  webhookServer.close();
+});
+
+function setBatch(id, status, counts = { total: 2, completed: status === "completed" ? 2 : 0, failed: status === "failed" ? 2 : 0 }) {
+  batches.set(id, { id, object: "batch", status, request_counts: counts, output_file_id: status === "completed" ? `file-${id}` : null, error_file_id: null, created_at: 1700000000 });
+}
+
+async function createJob(store, jobId, batchIds) {
+  const meta = { jobId, mode: "batch", model: "gpt-5-mini", name: jobId, batchIds, batches: batchIds.map((batchId, part) => ({ batchId, part })), webhookUrl: `http://127.0.0.1:${webhookServer.address().port}/hook/${jobId}`, createdAt: new Date().toISOString() };
+  await store.set(`jobs/${jobId}.json`, JSON.stringify(meta));
+  await writeJobIndex(store, jobId, { mode: "batch", status: "submitted", batchIds, webhook: true });
+}
+
+async function pollAll(store) {
+  const entries = (await activeJobEntries(store)).filter(needsPoll);
+  return Promise.all(entries.map((entry) => pollJob({ clientFor: async () => client, store, entry })));
+}
+
+const indexEntry = (store, jobId) => store.get(`index/${jobId}.json`, { type: "json" });
+
+test("a job moves through its states and notifies once when every batch completes", async () => {
+  const store = memoryStore();
+  webhooks.length = 0; webhookStatus = 200;
+  await createJob(store, "job-a", ["batch-a1", "batch-a2"]);
+
+  setBatch("batch-a1", "validating"); setBatch("batch-a2", "validating");
+  assert.deepEqual((await pollAll(store)).map((r) => r.state), ["in_progress"]);
+  assert.equal((await indexEntry(store, "job-a")).status, "in_progress");
+
+  setBatch("batch-a1", "completed"); setBatch("batch-a2", "finalizing");
+  assert.deepEqual((await pollAll(store)).map((r) => r.state), ["in_progress"]);
+  assert.equal(webhooks.length, 0);
+
+  setBatch("batch-a2", "completed");
+  const [result] = await pollAll(store);
+  assert.equal(result.state, "completed");
+  assert.deepEqual(result.webhook, { ok: true, status: 200 });
+
+  assert.equal(webhooks.length, 1);
+  assert.equal(webhooks[0].path, "/hook/job-a");
+  assert.equal(webhooks[0].headers["content-type"], "application/json");
+  assert.equal(webhooks[0].body.event, "job.completed");
+  assert.deepEqual(webhooks[0].body.batchIds, ["batch-a1", "batch-a2"]);
+  assert.deepEqual(webhooks[0].body.request_counts, { total: 4, completed: 4, failed: 0 });
+
+  const entry = await indexEntry(store, "job-a");
+  assert.equal(entry.status, "completed");
+  assert.equal(entry.webhookSentFor, "completed:batch-a1,batch-a2");
+  assert.deepEqual(await activeJobEntries(store), []);
+  assert.deepEqual(await pollAll(store), []);
+  assert.equal(webhooks.length, 1);
+});
+
+test("a job with some failed batches ends partial", async () => {
+  const store = memoryStore();
+  webhooks.length = 0; webhookStatus = 200;
+  await createJob(store, "job-b", ["batch-b1", "batch-b2"]);
+  setBatch("batch-b1", "completed"); setBatch("batch-b2", "failed");
+  const [result] = await pollAll(store);
+  assert.equal(result.state, "partial");
+  assert.equal(webhooks[0].body.event, "job.partial");
+  assert.equal((await indexEntry(store, "job-b")).status, "partial");
+});
+
+test("a failing webhook is retried on later polls, then given up", async () => {
+  const store = memoryStore();
+  webhooks.length = 0; webhookStatus = 500;
+  await createJob(store, "job-c", ["batch-c1"]);
+  setBatch("batch-c1", "expired");
+
+  for (let attempt = 1; attempt < MAX_WEBHOOK_ATTEMPTS; attempt++) {
+    const [result] = await pollAll(store);
+    assert.deepEqual(result.webhook, { ok: false, status: 500, error: "HTTP 500" });
+    assert.equal((await indexEntry(store, "job-c")).webhookAttempts, attempt);
+    assert.equal((await activeJobEntries(store)).length, 1);
+  }
+  await pollAll(store);
+  assert.equal(webhooks.length, MAX_WEBHOOK_ATTEMPTS);
+  const entry = await indexEntry(store, "job-c");
+  assert.equal(entry.webhookSentFor, "expired:batch-c1");
+  assert.equal(entry.webhookError, "HTTP 500");
+  assert.deepEqual(await activeJobEntries(store), []);
+});
@@ -0,0 +1,24 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { isFatal, isRetryable } = require("../netlify/lib/retry.cjs");
+
+const apiError = (status, code, message = "error") => Object.assign(new Error(message), { status, code });
+
+test("auth, access and rejected-request errors stop the job", () => {
+  for (const status of [401, 403, 404]) assert.equal(isFatal(apiError(status)), true);
+  assert.equal(isFatal(apiError(400, "invalid_value", "Unsupported parameter: 'temperature'")), true);
+  assert.equal(isFatal(apiError(422, null, "Invalid schema for response_format")), true);
+});
+
+test("errors about the chunk's length are left to splitting", () => {
+  assert.equal(isFatal(apiError(400, "context_length_exceeded")), false);
+  assert.equal(isFatal(apiError(400, null, "Your input is too long for this model")), false);
+  assert.equal(isFatal(apiError(429, "rate_limit_exceeded")), false);
+  assert.equal(isFatal(new Error("socket hang up")), false);
+});
+
+test("request errors are not retried", () => {
+  assert.equal(isRetryable(apiError(400, "invalid_value")), false);
+  assert.equal(isRetryable(apiError(429)), true);
+  assert.equal(isRetryable(apiError(503)), true);
+});
@@ -0,0 +1,57 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const ExcelJS = require("exceljs");
+const { detectInput, readInputRows } = require("../netlify/lib/input-format.cjs");
+const { outputSink } = require("../netlify/lib/output-format.cjs");
+
+async function workbook() {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet("Data");
+  ws.addRow(["text", "n", "when", "sum", "link"]);
+  ws.addRow(["hello", 42, new Date(Date.UTC(2024, 0, 31)), { formula: "B2*2", result: 84 }, { text: "site", hyperlink: "https://example.com" }]);
+  ws.addRow([]);
+  ws.addRow([{ richText: [{ text: "bold", font: { bold: true } }, { text: " part" }] }, 1.5, new Date(Date.UTC(2024, 1, 1, 13, 30)), null, ""]);
+  wb.addWorksheet("Other").addRow(["only"]);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+test("xlsx input is read from the first sheet as cell text, skipping blank rows", async () => {
+  const buffer = await workbook();
+  const info = detectInput(buffer.subarray(0, 64), "data.bin");
+  assert.equal(info.format, "xlsx");
+  const { headers, rows, sheets, sheet } = await readInputRows(buffer, info);
+  assert.deepEqual(sheets, ["Data", "Other"]);
+  assert.equal(sheet, "Data");
+  assert.deepEqual(headers, ["text", "n", "when", "sum", "link"]);
+  assert.deepEqual(rows, [
+    { text: "hello", n: "42", when: "2024-01-31", sum: "84", link: "site" },
+    { text: "bold part", n: "1.5", when: "2024-02-01T13:30:00Z", sum: "", link: "" },
+  ]);
+});
+
+test("a named sheet is read, and a missing one is reported", async () => {
+  const buffer = await workbook();
+  assert.deepEqual((await readInputRows(buffer, { format: "xlsx" }, { sheet: "Other" })).headers, ["only"]);
+  await assert.rejects(readInputRows(buffer, { format: "xlsx" }, { sheet: "Nope" }), /Sheet "Nope" not found; the workbook has: Data, Other/);
+});
+
+test("legacy .xls files are refused", () => {
+  assert.throws(() => detectInput(Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]), "old.xls"), /Legacy \.xls/);
+});
+
+test("xlsx output round-trips through the reader", async () => {
+  const sink = outputSink({ format: "xlsx", newlines: "flatten", columns: "all" }, "job");
+  await sink.start(["text", "result"], ["result"]);
+  await sink.row({ text: "a", result: "x" }, 0);
+  await sink.row({ text: "b" }, 1);
+  await sink.end();
+  const out = sink.output();
+  assert.equal(out.fileName, "job.xlsx");
+  const buffer = fs.readFileSync(out.path);
+  fs.rmSync(out.path);
+  const { headers, rows, sheet } = await readInputRows(buffer, { format: "xlsx" });
+  assert.equal(sheet, "Results");
+  assert.deepEqual(headers, ["text", "result"]);
+  assert.deepEqual(rows, [{ text: "a", result: "x" }, { text: "b", result: "" }]);
+});